@@ -1,12 +1,15 @@
 #!/usr/bin/env node
 
 import 'dotenv/config';
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'node:fs';
-import path from 'node:path';
+import { writeFileSync } from 'node:fs';
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import { GeminiMultiKeyManager } from './gemini_multi_key_manager.mjs';
+import { createRunContext } from '../utils/run_context.mjs';
+import { describeReleaseNotes } from '../utils/release_notes.mjs';
 
-export async function analyzeAllSignalsWithGemini(signals) {
+// options.runContext: hasil disimpan di direktori run (utils/run_context.mjs)
+export async function analyzeAllSignalsWithGemini(signals, options = {}) {
+  const ctx = options.runContext || createRunContext();
   console.log('\n🧠 Starting Gemini ALL Signals Analysis...');
   console.log(`📊 Processing ${signals.length} signals for comprehensive analysis`);
   
@@ -21,7 +24,8 @@ export async function analyzeAllSignalsWithGemini(signals) {
   console.log('✅ Gemini multi-key manager initialized');
 
   const results = {
-    timestamp: new Date().toISOString(),
+    timestamp: ctx.now(),
+    run_id: ctx.runId,
     total_signals: signals.length,
     analyzed_signals: 0,
     all_analyses: [], // Store ALL analyses, not just opportunities
@@ -61,14 +65,11 @@ export async function analyzeAllSignalsWithGemini(signals) {
   }
   
   // Save results
-  const today = new Date().toISOString().slice(0, 10);
-  const outputDir = path.join('data', today);
-  if (!existsSync(outputDir)) {
-    mkdirSync(outputDir, { recursive: true });
-  }
+  const today = ctx.date;
+  ctx.ensureDirs();
   
-  const resultsFile = path.join(outputDir, 'gemini_all_signals_analysis.json');
-  const summaryFile = path.join(outputDir, 'gemini_all_signals_summary.txt');
+  const resultsFile = ctx.runFile('gemini_all_signals_analysis.json');
+  const summaryFile = ctx.runFile('gemini_all_signals_summary.txt');
   
   writeFileSync(resultsFile, JSON.stringify(results, null, 2));
   
@@ -254,14 +255,40 @@ async function processBatchWithGeminiAllSignals(signals, batchIndex, keyManager)
   throw new Error(`All Gemini API keys failed after ${maxRetries} attempts`);
 }
 
+// Panjang maksimal release notes yang ikut ke prompt per signal
+const RELEASE_NOTES_PROMPT_CHARS = 600;
+
+// Detail release GitHub: ringkasan hasil parse + potongan release notes
+function formatReleaseDetails(signal) {
+  const notes = signal.meta?.release_notes;
+  if (!notes) return '';
+  const summary = describeReleaseNotes(notes);
+  const body = (signal.body || '').replace(/\s+/g, ' ').trim();
+  return (summary ? `\n   Release: ${summary}` : '') +
+    (body ? `\n   Release notes: ${body.substring(0, RELEASE_NOTES_PROMPT_CHARS)}${body.length > RELEASE_NOTES_PROMPT_CHARS ? '…' : ''}` : '');
+}
+
+// Engagement Telegram: metric saat dikumpulkan + virality vs baseline channel
+function formatEngagementDetails(signal) {
+  const engagement = signal.meta?.engagement;
+  if (!engagement) return '';
+  const metrics = ['views', 'forwards', 'reactions', 'replies']
+    .filter(metric => Number.isFinite(engagement[metric]))
+    .map(metric => `${engagement[metric]} ${metric}`);
+  const virality = engagement.virality
+    ? ` (${engagement.virality.score}× channel baseline, ${engagement.virality.level})`
+    : '';
+  return metrics.length > 0 ? `\n   Engagement: ${metrics.join(', ')}${virality}` : '';
+}
+
 function createAllSignalsAnalysisPrompt(signals) {
   const signalsText = signals.map((signal, index) => {
     return `${index + 1}. **${signal.title || 'Untitled'}**
    Source: ${signal.source}
-   URL: ${signal.link || 'No URL'}
+   URL: ${signal.url || signal.link || 'No URL'}
    Channel: ${signal.channel || 'Unknown'}
    Category: ${signal.category || 'Unknown'}
-   Priority: ${signal.priority || 'Unknown'}`;
+   Priority: ${signal.priority || 'Unknown'}${formatReleaseDetails(signal)}${formatEngagementDetails(signal)}`;
   }).join('\n\n');
 
   return `You are a comprehensive cryptocurrency signal analyst. Analyze ALL these signals and provide analysis for EVERY SINGLE ONE.
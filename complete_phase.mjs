@@ -1,15 +1,19 @@
 #!/usr/bin/env node
 
 // Complete Pipeline: Phase 1 + Phase 2 + Phase 3
-import { collectData } from './phase1/collect_data.mjs';
+import { collectData, parseCollectArgs } from './phase1/collect_data.mjs';
 import { analyzeAllSignals } from './phase2/analyze_all_signals.mjs';
 import { publishEarlyDetection } from './phase3/publish_early_detection.mjs';
+import { createRunContext } from './utils/run_context.mjs';
 
-async function runCompletePhase() {
+async function runCompletePhase(options = {}) {
   const startTime = new Date();
   console.log('🚀 Starting Complete Phase (1 + 2 + 3)...');
   console.log('=====================================');
   console.log(`⏰ Start time: ${startTime.toISOString()}`);
+
+  // Satu run context untuk ketiga phase (tanggal, timezone & direktori output sama)
+  const runContext = createRunContext();
   
   // Check for duplicate content before starting
   console.log('\n🔍 Pre-flight duplicate check...');
@@ -25,7 +29,7 @@ async function runCompletePhase() {
     // Phase 1: Data Collection
     console.log('\n📊 Phase 1: Data Collection...');
     const phase1Start = Date.now();
-    const phase1Results = await collectData();
+    const phase1Results = await collectData({ ...options, runContext });
     const phase1Duration = ((Date.now() - phase1Start) / 1000).toFixed(1);
     console.log(`✅ Phase 1 complete: ${phase1Results.signals.length} signals collected (${phase1Duration}s)`);
     
@@ -37,7 +41,10 @@ async function runCompletePhase() {
     // Phase 2: Analysis
     console.log('\n🔍 Phase 2: Analysis...');
     const phase2Start = Date.now();
-    const phase2Results = await analyzeAllSignals();
+    // Window beberapa hari tersebar di beberapa bucket; Phase 2 menerima signal semua bucket tersebut
+    const phase2Results = await analyzeAllSignals(phase1Results.buckets
+      ? { runContext, signals: phase1Results.signals }
+      : { runContext });
     const phase2Duration = ((Date.now() - phase2Start) / 1000).toFixed(1);
     console.log(`✅ Phase 2 complete: Analysis finished (${phase2Duration}s)`);
     
@@ -49,7 +56,7 @@ async function runCompletePhase() {
     // Phase 3: Publishing
     console.log('\n📢 Phase 3: Publishing to Telegram...');
     const phase3Start = Date.now();
-    const phase3Results = await publishEarlyDetection();
+    const phase3Results = await publishEarlyDetection({ runContext });
     const phase3Duration = ((Date.now() - phase3Start) / 1000).toFixed(1);
     if (phase3Results) {
       console.log(`✅ Phase 3 complete: ${phase3Results.hot} hot, ${phase3Results.early} early, ${phase3Results.watch} watch, ${phase3Results.risk} risk alerts published (${phase3Duration}s)`);
@@ -101,7 +108,13 @@ async function runCompletePhase() {
 
 // Run if called directly
 if (process.argv[1] && process.argv[1].endsWith('complete_phase.mjs')) {
-  runCompletePhase()
+  // --since / --window / --full diteruskan ke Phase 1; backfill hanya lewat phase1/collect_data.mjs
+  const { backfill, ...collectOptions } = parseCollectArgs(process.argv.slice(2));
+  if (backfill) {
+    console.log('⚠️  --backfill is only supported by phase1/collect_data.mjs, ignoring it here');
+  }
+  
+  runCompletePhase(collectOptions)
     .then(result => {
       if (result.success) {
         console.log('\n✅ Complete Phase completed successfully');
@@ -0,0 +1,276 @@
+#!/usr/bin/env node
+
+import { ghFetchJSON, delay } from './utils/github_fetch.mjs';
+import {
+  WATCHLIST_PATH,
+  TRACK_TYPES,
+  DEFAULT_TRACK,
+  readWatchlistFile,
+  saveWatchlistFile,
+  validateWatchlistEntry,
+  validateOrgEntry
+} from './utils/github_watchlist.mjs';
+
+/**
+ * GitHub Watchlist Manager
+ *
+ * Manages the repos collected by Phase 1 (config/github_watchlist.json) and the
+ * orgs watched for newly created repos. New entries are checked against the
+ * GitHub API before they are added.
+ *
+ * Usage:
+ *   node github_watchlist.mjs list
+ *   node github_watchlist.mjs add berachain/bera-chain --category alt-L1 --priority 8 [--track releases,commits,pulls]
+ *   node github_watchlist.mjs remove berachain/bera-chain
+ *   node github_watchlist.mjs add-org berachain --category alt-L1 --priority 7
+ *   node github_watchlist.mjs remove-org berachain
+ *   node github_watchlist.mjs validate      # check every repo/org still exists (exit 1 on problems)
+ */
+
+function getOption(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+function findIndex(entries, value, key = 'repo') {
+  return entries.findIndex(entry => entry[key]?.toLowerCase() === value.toLowerCase());
+}
+
+// Cek repo di GitHub → { ok, fullName, archived, error }
+async function checkRepo(repo) {
+  try {
+    const data = await ghFetchJSON(`/repos/${repo}`);
+    return { ok: true, fullName: data.full_name, archived: data.archived, isPrivate: data.private };
+  } catch (error) {
+    return { ok: false, error: error.message.split(' :: ')[0] };
+  }
+}
+
+async function checkOrg(org) {
+  try {
+    const data = await ghFetchJSON(`/orgs/${org}`);
+    return { ok: true, login: data.login, publicRepos: data.public_repos };
+  } catch (error) {
+    return { ok: false, error: error.message.split(' :: ')[0] };
+  }
+}
+
+function listWatchlist(data) {
+  console.log(`📋 GitHub Watchlist (${WATCHLIST_PATH})`);
+  console.log('======================================');
+  if (data.repos.length === 0) {
+    console.log('❌ Watchlist is empty. Add a repo with: node github_watchlist.mjs add owner/name');
+    return;
+  }
+  const sorted = [...data.repos].sort((a, b) => (b.priority ?? 0) - (a.priority ?? 0) || a.repo.localeCompare(b.repo));
+  for (const entry of sorted) {
+    const track = (entry.track || DEFAULT_TRACK).join(',');
+    console.log(`${String(entry.priority ?? '-').padStart(3)}  ${entry.repo.padEnd(36)} ${(entry.category || 'other').padEnd(14)} ${track}`);
+  }
+  if (data.orgs.length > 0) {
+    console.log('\n🏢 Watched orgs (new repos)');
+    for (const entry of data.orgs) {
+      console.log(`${String(entry.priority ?? '-').padStart(3)}  ${entry.org.padEnd(36)} ${entry.category || 'other'}`);
+    }
+  }
+  console.log(`\n📊 ${data.repos.length} repos, ${data.orgs.length} orgs`);
+}
+
+async function addRepo(data, args) {
+  const repo = args[1];
+  const entry = {
+    repo,
+    category: getOption(args, '--category') || 'other',
+    priority: Number(getOption(args, '--priority') ?? 5),
+    track: getOption(args, '--track') ? getOption(args, '--track').split(',').map(type => type.trim()) : DEFAULT_TRACK
+  };
+
+  const problems = validateWatchlistEntry(entry);
+  if (problems.length > 0) {
+    console.error(`❌ ${problems.join('; ')}`);
+    console.error(`   Track types: ${TRACK_TYPES.join(', ')}`);
+    return false;
+  }
+  if (findIndex(data.repos, repo) !== -1) {
+    console.error(`❌ ${repo} is already in the watchlist`);
+    return false;
+  }
+
+  console.log(`🔍 Checking ${repo} on GitHub...`);
+  const check = await checkRepo(repo);
+  if (!check.ok) {
+    console.error(`❌ ${repo} not found: ${check.error}`);
+    return false;
+  }
+  if (check.archived) {
+    console.warn(`⚠️  ${check.fullName} is archived, it will probably not produce new signals`);
+  }
+
+  // Pakai nama kanonik dari GitHub (case & rename)
+  entry.repo = check.fullName;
+  data.repos.push(entry);
+  saveWatchlistFile(data);
+  console.log(`✅ Added ${entry.repo} (${entry.category}, priority ${entry.priority}, track ${entry.track.join(',')})`);
+  return true;
+}
+
+function removeRepo(data, repo) {
+  const index = findIndex(data.repos, repo);
+  if (index === -1) {
+    console.error(`❌ ${repo} is not in the watchlist`);
+    return false;
+  }
+  const [removed] = data.repos.splice(index, 1);
+  saveWatchlistFile(data);
+  console.log(`✅ Removed ${removed.repo}`);
+  return true;
+}
+
+async function addOrg(data, args) {
+  const entry = {
+    org: args[1],
+    category: getOption(args, '--category') || 'other',
+    priority: Number(getOption(args, '--priority') ?? 5)
+  };
+
+  const problems = validateOrgEntry(entry);
+  if (problems.length > 0) {
+    console.error(`❌ ${problems.join('; ')}`);
+    return false;
+  }
+  if (findIndex(data.orgs, entry.org, 'org') !== -1) {
+    console.error(`❌ ${entry.org} is already watched`);
+    return false;
+  }
+
+  console.log(`🔍 Checking org ${entry.org} on GitHub...`);
+  const check = await checkOrg(entry.org);
+  if (!check.ok) {
+    console.error(`❌ ${entry.org} not found: ${check.error}`);
+    return false;
+  }
+
+  entry.org = check.login;
+  data.orgs.push(entry);
+  saveWatchlistFile(data);
+  console.log(`✅ Watching ${entry.org} for new repos (${check.publicRepos} public repos today)`);
+  return true;
+}
+
+function removeOrg(data, org) {
+  const index = findIndex(data.orgs, org, 'org');
+  if (index === -1) {
+    console.error(`❌ ${org} is not watched`);
+    return false;
+  }
+  const [removed] = data.orgs.splice(index, 1);
+  saveWatchlistFile(data);
+  console.log(`✅ Stopped watching ${removed.org}`);
+  return true;
+}
+
+async function validateWatchlist(data) {
+  console.log(`🔍 Validating ${data.repos.length} repos and ${data.orgs.length} orgs in ${WATCHLIST_PATH}...`);
+  let problemCount = 0;
+  const seen = new Set();
+
+  for (const entry of data.repos) {
+    const problems = validateWatchlistEntry(entry);
+    const key = String(entry?.repo).toLowerCase();
+    if (seen.has(key)) problems.push('duplicate entry');
+    seen.add(key);
+
+    if (problems.length === 0) {
+      const check = await checkRepo(entry.repo);
+      if (!check.ok) {
+        problems.push(`not found: ${check.error}`);
+      } else {
+        if (check.fullName !== entry.repo) problems.push(`renamed/moved to ${check.fullName}`);
+        if (check.archived) console.warn(`⚠️  ${entry.repo}: archived`);
+      }
+      await delay(200);
+    }
+
+    if (problems.length > 0) {
+      problemCount++;
+      console.log(`❌ ${entry?.repo}: ${problems.join('; ')}`);
+    } else {
+      console.log(`✅ ${entry.repo}`);
+    }
+  }
+
+  for (const entry of data.orgs) {
+    const problems = validateOrgEntry(entry);
+    if (problems.length === 0) {
+      const check = await checkOrg(entry.org);
+      if (!check.ok) problems.push(`not found: ${check.error}`);
+      else if (check.login !== entry.org) problems.push(`renamed to ${check.login}`);
+      await delay(200);
+    }
+
+    if (problems.length > 0) {
+      problemCount++;
+      console.log(`❌ org ${entry?.org}: ${problems.join('; ')}`);
+    } else {
+      console.log(`✅ org ${entry.org}`);
+    }
+  }
+
+  const total = data.repos.length + data.orgs.length;
+  console.log(`\n📊 ${total - problemCount} ok, ${problemCount} with problems`);
+  return problemCount === 0;
+}
+
+const args = process.argv.slice(2);
+const command = args[0] || 'list';
+
+let data;
+try {
+  data = readWatchlistFile();
+} catch (error) {
+  console.error(`❌ Could not parse ${WATCHLIST_PATH}: ${error.message}`);
+  process.exit(1);
+}
+
+let ok = true;
+switch (command) {
+  case 'list':
+    listWatchlist(data);
+    break;
+  case 'add':
+    if (!args[1]) {
+      console.error('❌ Usage: node github_watchlist.mjs add <owner/name> [--category c] [--priority n] [--track releases,tags,commits,pulls,issues,eip_status]');
+      process.exit(1);
+    }
+    ok = await addRepo(data, args);
+    break;
+  case 'remove':
+    if (!args[1]) {
+      console.error('❌ Usage: node github_watchlist.mjs remove <owner/name>');
+      process.exit(1);
+    }
+    ok = removeRepo(data, args[1]);
+    break;
+  case 'add-org':
+    if (!args[1]) {
+      console.error('❌ Usage: node github_watchlist.mjs add-org <org> [--category c] [--priority n]');
+      process.exit(1);
+    }
+    ok = await addOrg(data, args);
+    break;
+  case 'remove-org':
+    if (!args[1]) {
+      console.error('❌ Usage: node github_watchlist.mjs remove-org <org>');
+      process.exit(1);
+    }
+    ok = removeOrg(data, args[1]);
+    break;
+  case 'validate':
+    ok = await validateWatchlist(data);
+    break;
+  default:
+    console.error(`❌ Unknown command: ${command} (use list, add, remove, add-org, remove-org or validate)`);
+    ok = false;
+}
+
+process.exit(ok ? 0 : 1);
@@ -1,13 +1,56 @@
+// Keyword sets untuk filter signal. Dicocokkan oleh utils/keyword_matcher.mjs dengan
+// batas kata: "ai" tidak cocok di "said", "hard fork" adalah frasa, "deploy*" adalah prefix.
+
 export const CRYPTO_KEYWORDS = [
-  'airdrop','testnet','mainnet','launchpad','listing','token','ico','ido','presale','waitlist','retrodrop',
-  'whitelist','staking','yield','defi','nft','metaverse','web3','blockchain','register',
+  'airdrop*','testnet','mainnet','launchpad','listing','ico','ido','presale','waitlist','retrodrop',
+  'whitelist','staking','yield','defi','nft*','metaverse','web3','blockchain',
   'cryptocurrency','bitcoin','ethereum','binance','coinbase','partnership','investment',
-  'funding','acquisition','merger','swap','labs','node','event','network','quest',
-  'points','point','faucet','cli','galxe','market','discord','twitter','telegram',
-  'reward','rewards','claim','mint','dashboard','protocol','dao','governance','wallet',
-  'exchange','dex','cex','bridge','layer','l2','rollup','zk','validator','miner',
-  'gas','fee','smart','contract','dapp','gamefi','p2e','ai','ml','analytics',
-  'announcement','update','roadmap','milestone','integration','launch','release',
-  'upgrade','fork','hard','soft','eip','grant','ecosystem fund','eligible','app','tx','claimable','claimer','bridge','deploy','ecosystem'
+  'funding','acquisition','merger','swap','node','quest',
+  'points','faucet','galxe',
+  'reward','rewards','claim','mint','protocol','dao','governance','wallet',
+  'exchange','dex','cex','bridge','l2','rollup','zk','validator','miner',
+  'smart contract','dapp','gamefi','p2e',
+  'roadmap','milestone','integration','launch','release',
+  'upgrade','fork','hard fork','soft fork','eip','grant','ecosystem fund','eligible','claimable','claimer','deploy*','ecosystem'
   // (tambahkan lagi kalau perlu)
 ];
+
+// Kata umum yang muncul di hampir setiap pesan crypto: baru dihitung jika minimal dua cocok
+export const CRYPTO_WEAK_KEYWORDS = [
+  'token','update','network','app','ai','ml','tx','labs','event','point','cli','market',
+  'discord','twitter','telegram','dashboard','layer','gas','fee','contract','analytics',
+  'announcement','register'
+];
+
+// Release/tag/commit GitHub yang terlihat seperti early signal
+export const GITHUB_SIGNAL_KEYWORDS = [
+  'testnet','mainnet','devnet','incentivized','genesis','/rc\\d*/','beta','alpha','airdrop','points',
+  'migrat*','staking','validator','node','launch*','upgrade*','fork','hard fork','soft fork','hardfork',
+  'eip','/eip-?\\d+/','grant','ecosystem','fund','eligible','claimable','claimer','bridge','deploy*'
+];
+
+export const GITHUB_WEAK_KEYWORDS = ['app', 'tx'];
+
+// Topik CoinTelegraph yang relevan (feed-nya sangat umum)
+export const COINTELEGRAPH_KEYWORDS = [
+  'bitcoin','ethereum','defi','nft*','dao','governance','airdrop*','testnet','mainnet','upgrade*','fork','hard fork'
+];
+
+// Set per source: include (minimal satu harus cocok), weak (minimal dua harus cocok jika tidak ada
+// include yang cocok) dan exclude (membatalkan match)
+export const KEYWORD_SETS = {
+  telegram: {
+    include: CRYPTO_KEYWORDS,
+    weak: CRYPTO_WEAK_KEYWORDS,
+    exclude: ['sponsored', 'advertisement', 'promo code']
+  },
+  github: {
+    include: GITHUB_SIGNAL_KEYWORDS,
+    weak: GITHUB_WEAK_KEYWORDS,
+    exclude: ['dependabot', '/chore\\(deps[^)]*\\)/', 'bump version']
+  },
+  cointelegraph: {
+    include: COINTELEGRAPH_KEYWORDS,
+    exclude: ['price analysis', 'price prediction']
+  }
+};
@@ -3,23 +3,17 @@
 import 'dotenv/config';
 import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'node:fs';
 import path from 'node:path';
-import { cutoffMs24h, localISO } from '../utils/time_window.mjs';
+import { resolveWindow, isInWindow, dateRange, zonedDate, zonedStartOfDay } from '../utils/time_window.mjs';
+import { createRunContext, saveRunContext } from '../utils/run_context.mjs';
+import { validateSignal, validateSignals, fromLegacySignal } from '../utils/signal_schema.mjs';
 import { CollectionTracker } from '../utils/collection_tracker.mjs';
+import { CursorStore } from '../utils/cursor_store.mjs';
+import { loadPriorityRules, applyPriority } from '../utils/priority_scoring.mjs';
+import { SourceHealthTracker, ADAPTER_HEALTH_ID } from '../utils/source_health.mjs';
 
-// Import semua collector
-import { collectGitHubSignals } from '../sources/Github_Source.mjs';
-import { readTelegramMessages } from '../sources/telegram_simple.mjs';
-import { collectRssEnhanced } from '../sources/collect_rss_enhanced.mjs';
-
-// Konfigurasi
-const CUTOFF_24H = cutoffMs24h();
-const TODAY_DIR = path.join("data", new Date().toISOString().slice(0,10));
-const TIMESTAMP = new Date().toISOString();
-
-// Buat direktori jika belum ada
-if (!existsSync(TODAY_DIR)) {
-  mkdirSync(TODAY_DIR, { recursive: true });
-}
+// Source adapters (GitHub, Telegram, RSS, ...) didaftarkan di registry
+import { getEnabledSources, normalizeCollectorResult } from '../sources/registry.mjs';
+import { createDeadline, withTimeout } from '../utils/concurrency.mjs';
 
 // Utility untuk merge dan dedupe data dengan deteksi duplicate yang lebih baik
 function mergeAndDedupe(allSignals) {
@@ -32,9 +26,7 @@ function mergeAndDedupe(allSignals) {
   for (const signals of allSignals) {
     for (const signal of signals) {
       // Multiple keys untuk deteksi duplicate yang lebih baik
-      const url = signal.url || signal.link || '';
-      const title = signal.title || signal.judul || '';
-      const source = signal.source || signal.repo || 'Unknown';
+      const { url, title, source } = signal;
       
       // Create multiple keys for better duplicate detection
       const keys = [
@@ -69,20 +61,8 @@ function mergeAndDedupe(allSignals) {
       // Add all keys to seen set
       keys.forEach(key => seen.add(key));
       
-      // Normalize ke format yang konsisten
-      const normalized = {
-        source: source,
-        title: title,
-        link: url,
-        time: signal.time || localISO(new Date()),
-        messageId: signal.messageId || signal.id || '',
-        channel: signal.channel || 'unknown',
-        category: signal.category || 'general',
-        priority: signal.priority || 1,
-        originalSignal: signal // Keep original for reference
-      };
-      
-      combined.push(normalized);
+      // Signal sudah dalam skema yang sama (utils/signal_schema.mjs)
+      combined.push(signal);
     }
   }
   
@@ -94,30 +74,15 @@ function mergeAndDedupe(allSignals) {
   return combined;
 }
 
-// Filter signals dalam 24 jam terakhir
-function filter24Hours(signals) {
-  return signals.filter(signal => {
-    const signalTime = new Date(signal.time);
-    return signalTime >= CUTOFF_24H;
-  });
+// Filter signals dalam collection window
+function filterWindow(signals, window) {
+  return signals.filter(signal => isInWindow(Date.parse(signal.published_at), window));
 }
 
-// Calculate priority berdasarkan keywords dan source
-function calculatePriority(signal) {
-  let priority = 1;
-  
-  // Boost priority berdasarkan source
-  if (signal.channel === 'github') priority += 2;
-  if (signal.channel === 'telegram') priority += 1;
-  if (signal.channel === 'rss') priority += 1;
-  
-  // Boost priority berdasarkan category
-  if (signal.category === 'core-L1') priority += 3;
-  if (signal.category === 'L2') priority += 2;
-  if (signal.category === 'DeFi') priority += 2;
-  if (signal.category === 'NFT') priority += 1;
-  
-  return priority;
+// Tanggal bucket (YYYY-MM-DD di timezone run) untuk sebuah signal
+function signalDate(signal, ctx) {
+  const t = new Date(signal.published_at);
+  return Number.isNaN(t.getTime()) ? ctx.date : zonedDate(t, ctx.timeZone);
 }
 
 // Sort signals by priority
@@ -128,22 +93,17 @@ function sortSignals(signals) {
       return b.priority - a.priority;
     }
     // Then by time (newer first)
-    return new Date(b.time) - new Date(a.time);
+    return new Date(b.published_at) - new Date(a.published_at);
   });
 }
 
 // Generate summary report
-function generateSummary(allSignals, errors) {
+function generateSummary(allSignals, errors, sourceNames = [], timestamp = new Date().toISOString()) {
   const summary = {
-    timestamp: TIMESTAMP,
+    timestamp,
     total_signals: allSignals.length,
     error_count: errors.length,
-    sources: {
-      github: allSignals.filter(s => s.channel === 'github').length,
-      medium: allSignals.filter(s => s.channel === 'medium').length,
-      telegram: allSignals.filter(s => s.channel === 'telegram').length,
-      rss: allSignals.filter(s => s.channel === 'rss').length
-    },
+    sources: Object.fromEntries(sourceNames.map(name => [name, 0])),
     categories: {},
     top_sources: {},
     errors: errors
@@ -151,6 +111,7 @@ function generateSummary(allSignals, errors) {
   
   // Count by category
   allSignals.forEach(signal => {
+    summary.sources[signal.channel] = (summary.sources[signal.channel] || 0) + 1;
     summary.categories[signal.category] = (summary.categories[signal.category] || 0) + 1;
     summary.top_sources[signal.source] = (summary.top_sources[signal.source] || 0) + 1;
   });
@@ -158,183 +119,361 @@ function generateSummary(allSignals, errors) {
   return summary;
 }
 
-// Main collection function - PHASE 1 ONLY with incremental tracking
-async function collectData() {
-  console.log('🚀 Phase 1: Data Collection Starting (Incremental)...');
-  console.log('===================================================');
+// Parse opsi CLI: --since <ISO|durasi>, --window <durasi>, --backfill --from <date> --to <date>,
+// --full (abaikan cursor source untuk run ini)
+function parseCollectArgs(argv = []) {
+  const options = {};
+  const valueOf = (flag) => {
+    const i = argv.indexOf(flag);
+    if (i === -1) return undefined;
+    const value = argv[i + 1];
+    if (!value || value.startsWith('--')) throw new Error(`Missing value for ${flag}`);
+    return value;
+  };
   
-  // Initialize collection tracker
-  const tracker = new CollectionTracker();
-  const stats = tracker.getStats();
-  console.log(`📊 Collection Tracker: ${stats.today} today, ${stats.global} global tracked`);
+  options.since = valueOf('--since');
+  options.window = valueOf('--window');
+  options.full = argv.includes('--full');
+  if (argv.includes('--backfill')) {
+    const from = valueOf('--from');
+    const to = valueOf('--to') || from;
+    if (!from) throw new Error('--backfill requires --from <YYYY-MM-DD> [--to <YYYY-MM-DD>]');
+    options.backfill = { from, to };
+  }
   
-  const allSignals = [];
-  const allNewSignals = [];
-  const allSkippedSignals = [];
-  const allErrors = [];
+  return options;
+}
+
+// Waktu tambahan setelah deadline untuk collector mengembalikan hasil parsialnya
+const DEADLINE_GRACE_MS = 15 * 1000;
+
+// Jalankan satu adapter dengan deadline; saat deadline tercapai signal di-abort dan
+// collector mengembalikan apa yang sudah terkumpul.
+// Cursor source hanya di-commit jika collector selesai sebelum deadline; hasil parsial tidak
+// menggeser cursor, jadi item yang belum selesai diproses diambil lagi di run berikutnya.
+// Cursor feed/repo/channel yang signal-nya ditolak validasi juga tidak digeser (adapter.cursorKey).
+// Health per feed/channel/repo dicatat collector lewat context.health; health seluruh adapter
+// (ADAPTER_HEALTH_ID) dicatat di sini: gagal jika collector throw/tidak berhenti, kecuali collector
+// sudah mencatat kegagalannya sendiri (mis. session Telegram hilang).
+// context.backfill: run membaca range lampau → adapter tidak menulis state run normal (baseline, engagement)
+async function runSourceWithDeadline(adapter, config, window, { cursorStore, healthTracker, date, backfill = false } = {}) {
+  const label = adapter.label || adapter.name;
+  const deadlineMs = Number(config.deadlineMs) || 0;
+  const deadline = createDeadline(deadlineMs);
+  const startedAt = Date.now();
+  const health = healthTracker ? healthTracker.forSource(adapter.name) : null;
   
-  // 1. Collect GitHub signals
-  console.log('\n📊 1. Collecting GitHub signals...');
   try {
-    const githubResults = await collectGitHubSignals();
-    if (githubResults.signals) {
-      const { newSignals: newGithub, skippedSignals: skippedGithub } = tracker.filterNewSignals(githubResults.signals);
-      allSignals.push(githubResults.signals);
-      allNewSignals.push(newGithub);
-      allSkippedSignals.push(skippedGithub);
-      console.log(`✅ GitHub: ${newGithub.length} new, ${skippedGithub.length} skipped (${githubResults.signals.length} total)`);
+    const cursors = cursorStore ? cursorStore.forSource(adapter.name) : null;
+    const run = adapter.collect({ name: adapter.name, config, window, date, backfill, signal: deadline.signal, cursors, health });
+    const raw = deadlineMs > 0
+      ? await withTimeout(run, deadlineMs + DEADLINE_GRACE_MS, `${label} did not stop within ${(deadlineMs + DEADLINE_GRACE_MS) / 1000}s`)
+      : await run;
+    const result = normalizeCollectorResult(raw);
+    const errors = result.errors.map(error => ({ source: adapter.name, ...error }));
+    
+    if (deadline.timedOut()) {
+      errors.push({ source: adapter.name, error: `Deadline of ${deadlineMs / 1000}s reached, partial results returned` });
     }
-    if (githubResults.errors) {
-      allErrors.push(...githubResults.errors);
+    
+    // Validasi skema: signal invalid dilaporkan dan tidak diteruskan ke tracker/Gemini
+    const { valid, invalid } = validateSignals(result.signals);
+    if (invalid.length > 0) {
+      console.warn(`⚠️  ${label}: ${invalid.length} invalid signals rejected`);
+      invalid.slice(0, 5).forEach(item => console.warn(`   - ${item.title || item.id}: ${item.errors.join('; ')}`));
     }
-  } catch (error) {
-    allErrors.push({ source: 'github', error: error.message });
-    console.error(`❌ GitHub collection failed: ${error.message}`);
-  }
-  
-  // 2. Medium signals disabled (always 0 results)
-  console.log('📰 2. Medium signals: Skipped (always 0 results)');
-  
-  // 3. Collect Telegram signals
-  console.log('\n📱 3. Collecting Telegram signals...');
-  try {
-    const telegramResults = await readTelegramMessages();
-    let telegramSignals = [];
-    if (Array.isArray(telegramResults)) {
-      telegramSignals = telegramResults;
-    } else if (telegramResults && telegramResults.signals) {
-      telegramSignals = telegramResults.signals;
+    
+    if (cursorStore && deadline.timedOut()) {
+      cursorStore.discard(adapter.name);
+      console.warn(`⚠️  ${label}: deadline reached, cursors not advanced`);
+    } else if (cursorStore && invalid.length > 0) {
+      // Tanpa cursorKey (atau key tidak diketahui) semua cursor source ini ditahan
+      const rejected = result.signals.filter(signal => validateSignal(signal).length > 0);
+      const keys = rejected.map(signal => adapter.cursorKey?.(signal) ?? null);
+      cursorStore.discard(adapter.name, keys.includes(null) ? undefined : keys);
+      console.warn(`⚠️  ${label}: cursors of rejected signals not advanced`);
+    }
+    const cursorUpdates = cursorStore ? cursorStore.commit(adapter.name) : 0;
+    if (health && !health.adapterFailed()) {
+      health.recordSuccess(ADAPTER_HEALTH_ID, { latencyMs: Date.now() - startedAt, items: valid.length });
     }
     
-    if (telegramSignals.length > 0) {
-      const { newSignals: newTelegram, skippedSignals: skippedTelegram } = tracker.filterNewSignals(telegramSignals);
-      allSignals.push(telegramSignals);
-      allNewSignals.push(newTelegram);
-      allSkippedSignals.push(skippedTelegram);
-      console.log(`✅ Telegram: ${newTelegram.length} new, ${skippedTelegram.length} skipped (${telegramSignals.length} total)`);
-    } else {
-      console.log(`✅ Telegram: 0 signals collected`);
+    const duration = ((Date.now() - startedAt) / 1000).toFixed(1);
+    if (cursorUpdates > 0) {
+      console.log(`📌 ${label}: ${cursorUpdates} cursors advanced`);
     }
+    console.log(`✅ ${label}: ${valid.length} signals collected (${duration}s${deadline.timedOut() ? ', partial' : ''})`);
+    return {
+      collected: { name: adapter.name, label, signals: valid, keywordReport: result.keywordReport, stats: result.stats },
+      errors,
+      invalid: invalid.map(item => ({ channel: adapter.name, ...item }))
+    };
   } catch (error) {
-    allErrors.push({ source: 'telegram', error: error.message });
-    console.error(`❌ Telegram collection failed: ${error.message}`);
+    console.error(`❌ ${label} collection failed: ${error.message}`);
+    cursorStore?.discard(adapter.name);
+    health?.recordFailure(ADAPTER_HEALTH_ID, { latencyMs: Date.now() - startedAt, error });
+    return {
+      collected: { name: adapter.name, label, signals: [] },
+      errors: [{ source: adapter.name, error: error.message }],
+      invalid: []
+    };
+  } finally {
+    deadline.clear();
   }
+}
+
+// Collect dari semua source adapter yang aktif (config/sources.json), secara paralel
+async function collectFromSources(window, trackers = {}) {
+  const enabledSources = getEnabledSources();
+  console.log(`\n📡 Enabled sources: ${enabledSources.map(({ adapter }) => adapter.name).join(', ') || 'none'}`);
+  enabledSources.forEach(({ adapter, config }, index) => {
+    const deadline = config.deadlineMs ? `${config.deadlineMs / 1000}s deadline` : 'no deadline';
+    console.log(`📊 ${index + 1}. Collecting ${adapter.label || adapter.name} signals (concurrency ${config.concurrency || 1}, ${deadline})...`);
+  });
   
-  // 4. Collect RSS signals
-  console.log('\n📡 4. Collecting RSS signals...');
-  try {
-    const rssResults = await collectRssEnhanced();
-    let rssSignals = [];
-    if (Array.isArray(rssResults)) {
-      rssSignals = rssResults;
-    } else if (rssResults && rssResults.signals) {
-      rssSignals = rssResults.signals;
-    }
-    
-    if (rssSignals.length > 0) {
-      const { newSignals: newRss, skippedSignals: skippedRss } = tracker.filterNewSignals(rssSignals);
-      allSignals.push(rssSignals);
-      allNewSignals.push(newRss);
-      allSkippedSignals.push(skippedRss);
-      console.log(`✅ RSS: ${newRss.length} new, ${skippedRss.length} skipped (${rssSignals.length} total)`);
-    } else {
-      console.log(`✅ RSS: 0 signals collected`);
+  const outcomes = await Promise.all(
+    enabledSources.map(({ adapter, config }) => runSourceWithDeadline(adapter, config, window, trackers))
+  );
+  
+  return {
+    collected: outcomes.map(outcome => outcome.collected),
+    errors: outcomes.flatMap(outcome => outcome.errors),
+    invalid: outcomes.flatMap(outcome => outcome.invalid)
+  };
+}
+
+// Proses hasil collection ke satu bucket harian data/<date>/ dengan incremental tracking
+function saveDayBucket(date, collected, { errors, invalid, window, health, ctx }) {
+  const dayDir = path.join('data', date);
+  if (!existsSync(dayDir)) {
+    mkdirSync(dayDir, { recursive: true });
+  }
+  
+  // Collection tracker per tanggal bucket (global tracker tetap dipakai bersama)
+  const tracker = new CollectionTracker({ date });
+  const stats = tracker.getStats();
+  console.log(`📊 Collection Tracker (${date}): ${stats.today} today, ${stats.global} global tracked`);
+  
+  const allNewSignals = [];
+  const allSkippedSignals = [];
+  const sourceStats = {};
+  
+  for (const { name, label, signals } of collected) {
+    const { newSignals, skippedSignals } = tracker.filterNewSignals(signals);
+    allNewSignals.push(newSignals);
+    allSkippedSignals.push(skippedSignals);
+    sourceStats[name] = { new: newSignals.length, skipped: skippedSignals.length };
+    if (signals.length > 0) {
+      console.log(`✅ ${label}: ${newSignals.length} new, ${skippedSignals.length} skipped (${signals.length} total)`);
     }
-  } catch (error) {
-    allErrors.push({ source: 'rss', error: error.message });
-    console.error(`❌ RSS collection failed: ${error.message}`);
   }
   
-  // 5. Process and merge only NEW signals
-  console.log('\n🔄 5. Processing and merging NEW signals...');
+  // Process and merge only NEW signals
+  console.log(`\n🔄 Processing and merging NEW signals for ${date}...`);
   const mergedNewSignals = mergeAndDedupe(allNewSignals);
-  const filteredNewSignals = filter24Hours(mergedNewSignals);
+  const filteredNewSignals = filterWindow(mergedNewSignals, window);
   
-  // Load existing signals from today (if any)
+  // Load existing signals from this day (if any)
   let existingSignals = [];
-  const existingFile = path.join(TODAY_DIR, 'daily_signals.json');
+  const existingFile = path.join(dayDir, 'daily_signals.json');
   if (existsSync(existingFile)) {
     try {
       const existingData = JSON.parse(readFileSync(existingFile, 'utf8'));
-      existingSignals = existingData.signals || [];
-      console.log(`📂 Loaded ${existingSignals.length} existing signals from today`);
+      existingSignals = (existingData.signals || []).map(fromLegacySignal);
+      console.log(`📂 Loaded ${existingSignals.length} existing signals from ${date}`);
     } catch (error) {
       console.log('⚠️  Could not load existing signals, starting fresh');
     }
   }
   
   // Combine existing + new signals
-  const allTodaySignals = [...existingSignals, ...filteredNewSignals];
-  const finalSignals = mergeAndDedupe([allTodaySignals]);
+  const allDaySignals = [...existingSignals, ...filteredNewSignals];
+  const finalSignals = mergeAndDedupe([allDaySignals]);
   
-  // Calculate priorities for final signals
-  finalSignals.forEach(signal => {
-    signal.priority = calculatePriority(signal);
-  });
+  // Priority dari config/priority_rules.json (breakdown disimpan di signal.priority_breakdown)
+  const priorityRules = loadPriorityRules();
+  finalSignals.forEach(signal => applyPriority(signal, priorityRules));
   
   // Sort by priority
   const sortedSignals = sortSignals(finalSignals);
   
-  // 6. Generate summary with incremental stats
-  const summary = generateSummary(sortedSignals, allErrors);
+  // Generate summary with incremental stats
+  const summary = generateSummary(sortedSignals, errors, Object.keys(sourceStats), ctx.now());
+  summary.run_id = ctx.runId;
+  summary.time_zone = ctx.timeZone;
+  summary.window = { start: new Date(window.startMs).toISOString(), end: new Date(window.endMs).toISOString() };
+  summary.invalid_count = invalid.length;
+  summary.invalid_signals = invalid;
+  summary.source_health = health;
+  // Keyword match report per source (term mana yang cocok / mengeksklusi)
+  summary.keyword_reports = Object.fromEntries(
+    collected.filter(source => source.keywordReport).map(source => [source.name, source.keywordReport])
+  );
+  // Statistik bebas per source (mis. pemakaian GitHub API)
+  summary.source_stats = Object.fromEntries(
+    collected.filter(source => source.stats).map(source => [source.name, source.stats])
+  );
   summary.incremental = {
     new_signals: filteredNewSignals.length,
     existing_signals: existingSignals.length,
     skipped_signals: allSkippedSignals.flat().length,
-    sources: {
-      github: { new: allNewSignals[0]?.length || 0, skipped: allSkippedSignals[0]?.length || 0 },
-      telegram: { new: allNewSignals[1]?.length || 0, skipped: allSkippedSignals[1]?.length || 0 },
-      rss: { new: allNewSignals[2]?.length || 0, skipped: allSkippedSignals[2]?.length || 0 }
-    }
+    sources: sourceStats
   };
   
-  // 7. Save results
-  console.log('\n💾 6. Saving results...');
-  const jsonFile = path.join(TODAY_DIR, 'daily_signals.json');
+  // Save results
+  console.log(`\n💾 Saving results to ${dayDir}/...`);
+  const jsonFile = path.join(dayDir, 'daily_signals.json');
   const jsonOutput = {
-    timestamp: TIMESTAMP,
+    timestamp: summary.timestamp,
     summary: summary,
     signals: sortedSignals
   };
   writeFileSync(jsonFile, JSON.stringify(jsonOutput, null, 2));
   
   // Save JSONL for easy processing
-  const jsonlFile = path.join(TODAY_DIR, 'daily_signals.jsonl');
+  const jsonlFile = path.join(dayDir, 'daily_signals.jsonl');
   const jsonlContent = sortedSignals.map(signal => JSON.stringify(signal)).join('\n');
   writeFileSync(jsonlFile, jsonlContent);
   
   // Save summary only
-  const summaryFile = path.join(TODAY_DIR, 'daily_summary.json');
+  const summaryFile = path.join(dayDir, 'daily_summary.json');
   writeFileSync(summaryFile, JSON.stringify(summary, null, 2));
   
-  // 8. Finalize tracker
+  // Finalize tracker
   tracker.finalize();
   
-  // 9. Display summary stats
-  console.log('\n📊 Phase 1 Complete!');
-  console.log('===================');
-  console.log(`📊 Total Signals Today: ${summary.total_signals}`);
+  return {
+    date,
+    dir: dayDir,
+    signals: sortedSignals,
+    newSignals: filteredNewSignals,
+    existingSignals: existingSignals.length,
+    summary
+  };
+}
+
+function printBucketSummary(bucket) {
+  const { summary } = bucket;
+  console.log(`📊 Total Signals (${bucket.date}): ${summary.total_signals}`);
   console.log(`🆕 New Signals This Run: ${summary.incremental.new_signals}`);
   console.log(`📂 Existing Signals: ${summary.incremental.existing_signals}`);
   console.log(`⏭️  Skipped Signals: ${summary.incremental.skipped_signals}`);
+  if (summary.invalid_count > 0) {
+    console.log(`🚫 Invalid Signals (rejected): ${summary.invalid_count}`);
+  }
+  if (summary.source_health?.quarantined > 0) {
+    console.log(`🚧 Quarantined feeds/channels/repos: ${summary.source_health.quarantined} (node source_health.mjs)`);
+  }
   console.log(`📡 Sources (new/skipped):`);
   Object.entries(summary.incremental.sources).forEach(([source, stats]) => {
     console.log(`   - ${source}: ${stats.new} new, ${stats.skipped} skipped`);
   });
-  console.log(`📁 Data saved to: ${TODAY_DIR}/`);
+  console.log(`📁 Data saved to: ${bucket.dir}/`);
+}
+
+// Main collection function - PHASE 1 ONLY with incremental tracking
+//   options.since / options.window → lookback window (default 24 jam)
+//   options.backfill = { from, to } → collect range tanggal ke bucket data/<date>/ masing-masing
+//   options.full → abaikan cursor source (data/source_cursors.json) untuk run ini
+//   options.runContext → konteks run (utils/run_context.mjs); default run baru
+async function collectData(options = {}) {
+  const ctx = options.runContext || createRunContext();
+  const isBackfill = Boolean(options.backfill);
+  let dates;
+  let window;
+  if (isBackfill) {
+    dates = dateRange(options.backfill.from, options.backfill.to);
+    // Hari backfill dihitung di timezone run: 00:00 tanggal pertama s/d sebelum 00:00 hari setelah tanggal terakhir
+    const dayAfter = new Date(Date.parse(`${dates[dates.length - 1]}T00:00:00Z`) + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    window = resolveWindow({ since: zonedStartOfDay(dates[0], ctx.timeZone), until: zonedStartOfDay(dayAfter, ctx.timeZone) - 1 });
+  } else {
+    window = resolveWindow(options);
+    // Window lebih dari sehari (--since 3d, --window 36h): signal masuk bucket tanggal masing-masing
+    // seperti backfill; window default tetap satu bucket hari run
+    dates = window.endMs - window.startMs > 24 * 60 * 60 * 1000
+      ? dateRange(zonedDate(window.startMs, ctx.timeZone), zonedDate(window.endMs, ctx.timeZone))
+      : [ctx.date];
+  }
+  const multiDay = dates.length > 1;
   
+  console.log(`🚀 Phase 1: Data Collection Starting (${isBackfill ? 'Backfill' : 'Incremental'})...`);
+  console.log('===================================================');
+  console.log(`🆔 Run: ${ctx.runId} (${ctx.date}, ${ctx.timeZone})`);
+  console.log(`🕒 Collection window: ${window.label}`);
+  
+  // Cursor per source: run incremental hanya mengambil data baru.
+  // Backfill membaca range lampau, jadi tidak memakai maupun menggeser cursor, dan tidak mencatat
+  // health (quarantine hanya untuk run normal).
+  const cursorStore = isBackfill ? null : new CursorStore({ ignoreExisting: options.full });
+  const healthTracker = isBackfill ? null : new SourceHealthTracker();
+  if (options.full && !isBackfill) {
+    console.log('📌 Ignoring source cursors for this run (--full)');
+  }
+  
+  // 1. Collect dari semua source adapter
+  const { collected, errors, invalid } = await collectFromSources(window, { cursorStore, healthTracker, date: ctx.date, backfill: isBackfill });
+  healthTracker?.save();
+  const health = healthTracker ? healthTracker.getStats() : null;
+  
+  // 2. Simpan ke bucket harian
+  const buckets = dates.map(date => saveDayBucket(
+    date,
+    multiDay
+      ? collected.map(source => ({ ...source, signals: source.signals.filter(signal => signalDate(signal, ctx) === date) }))
+      : collected,
+    { errors, invalid, window, health, ctx }
+  ));
+  const allSignals = buckets.flatMap(bucket => bucket.signals);
+  const allNewSignals = buckets.flatMap(bucket => bucket.newSignals);
+  
+  // Cursor disimpan setelah signal tersimpan ke bucket
+  cursorStore?.save();
+  
+  // Backfill tidak menggeser pointer run terakhir (Phase 2/3 tetap memakai run hari ini)
+  if (!isBackfill) {
+    saveRunContext(ctx, { phase1: { signals: allSignals.length, new_signals: allNewSignals.length, errors: errors.length, dates } });
+  }
+  
+  // 3. Display summary stats
+  console.log('\n📊 Phase 1 Complete!');
+  console.log('===================');
+  buckets.forEach(printBucketSummary);
+  
+  if (isBackfill) {
+    return {
+      signals: allSignals,
+      newSignals: allNewSignals,
+      buckets,
+      errors
+    };
+  }
+  
+  // Window beberapa hari: signal semua bucket dikembalikan (complete_phase meneruskannya ke Phase 2)
+  if (multiDay) {
+    return {
+      signals: allSignals,
+      newSignals: allNewSignals,
+      buckets,
+      errors,
+      runContext: ctx
+    };
+  }
+  
+  const [today] = buckets;
   return {
-    signals: sortedSignals,
-    newSignals: filteredNewSignals,
-    existingSignals: existingSignals.length,
-    summary: summary,
-    errors: allErrors
+    signals: today.signals,
+    newSignals: today.newSignals,
+    existingSignals: today.existingSignals,
+    summary: today.summary,
+    errors,
+    runContext: ctx
   };
 }
 
 // Run if called directly
 if (process.argv[1] && process.argv[1].endsWith('collect_data.mjs')) {
-  collectData()
+  Promise.resolve()
+    .then(() => collectData(parseCollectArgs(process.argv.slice(2))))
     .then(results => {
       console.log(`✅ Phase 1 complete: ${results.signals.length} signals collected`);
       process.exit(0);
@@ -345,4 +484,4 @@ if (process.argv[1] && process.argv[1].endsWith('collect_data.mjs')) {
     });
 }
 
-export { collectData };
+export { collectData, parseCollectArgs };
@@ -8,14 +8,20 @@ import path from 'node:path';
 import { analyzeAllSignalsWithGemini } from '../agents/analysis_gemini_all_signals.mjs';
 import { AnalysisTracker } from '../utils/analysis_tracker.mjs';
 import { AdvancedDeduplication } from '../utils/advanced_deduplication.mjs';
+import { loadLatestRunContext, saveRunContext } from '../utils/run_context.mjs';
 
 // Main analysis function - PHASE 2: Analyze signals with incremental tracking
-async function analyzeAllSignals() {
+//   options.runContext: konteks run dari Phase 1 (default: run terakhir di data/latest_run.json)
+//   options.signals:    signal yang di-inject langsung (telegram_listener.mjs, window Phase 1 beberapa hari)
+//                       menggantikan daily_signals.json
+async function analyzeAllSignals(options = {}) {
+  const ctx = options.runContext || loadLatestRunContext();
   console.log('🔍 Phase 2: Analyzing Signals (Incremental)...');
   console.log('==============================================');
+  console.log(`🆔 Run: ${ctx.runId} (${ctx.date}, ${ctx.timeZone})`);
   
   // Initialize analysis tracker
-  const tracker = new AnalysisTracker();
+  const tracker = new AnalysisTracker({ date: ctx.date, timeZone: ctx.timeZone });
   
   // Debug tracker file
   console.log(`🔍 Debug Analysis Tracker:`);
@@ -30,20 +36,25 @@ async function analyzeAllSignals() {
   const stats = tracker.getStats();
   console.log(`📊 Analysis Tracker: ${stats.today} today, ${stats.global} global analyzed`);
   
-  // Load signals from Phase 1
-  const today = new Date().toISOString().slice(0, 10);
-  const signalsFile = path.join('data', today, 'daily_signals.json');
-  
-  if (!existsSync(signalsFile)) {
-    console.error('❌ No daily signals found. Run Phase 1 first.');
-    console.log('   Use: node phase1/collect_data.mjs');
-    process.exit(1);
+  // Load signals from Phase 1 (atau signal yang di-inject)
+  let allSignals;
+  if (Array.isArray(options.signals)) {
+    allSignals = options.signals;
+    console.log(`📥 Received ${allSignals.length} injected signals`);
+  } else {
+    const signalsFile = ctx.dayFile('daily_signals.json');
+    
+    if (!existsSync(signalsFile)) {
+      console.error('❌ No daily signals found. Run Phase 1 first.');
+      console.log('   Use: node phase1/collect_data.mjs');
+      process.exit(1);
+    }
+    
+    const data = JSON.parse(readFileSync(signalsFile, 'utf8'));
+    allSignals = data.signals || [];
+    console.log(`📊 Loaded ${allSignals.length} total signals`);
   }
   
-  const data = JSON.parse(readFileSync(signalsFile, 'utf8'));
-  const allSignals = data.signals || [];
-  console.log(`📊 Loaded ${allSignals.length} total signals`);
-  
   // Filter for new signals only
   const { newSignals, skippedSignals } = tracker.filterNewSignals(allSignals);
   console.log(`🆕 New signals to analyze: ${newSignals.length}`);
@@ -95,6 +106,7 @@ async function analyzeAllSignals() {
   // Enrich signals for deduplication
   const enrichedSignals = urlFilteredSignals.map(signal => ({
     ...signal,
+    link: signal.url || signal.link || '', // Dedup tracker keys on link
     content: signal.title || signal.judul || '', // Use title as content for dedup
     source: signal.source || signal.repo || 'Unknown'
   }));
@@ -122,7 +134,7 @@ async function analyzeAllSignals() {
   if (process.env.GEMINI_API_KEY1) {
     console.log(`\n🧠 Gemini AI Analysis (Primary) - Analyzing ${uniqueSignals.length} UNIQUE signals...`);
     try {
-      geminiResults = await analyzeAllSignalsWithGemini(uniqueSignals);
+      geminiResults = await analyzeAllSignalsWithGemini(uniqueSignals, { runContext: ctx });
       if (geminiResults) {
         console.log(`✅ Gemini analysis complete: ${geminiResults.all_analyses.length} analyses identified`);
         console.log(`   Analyzed: ${geminiResults.analyzed_signals}/${geminiResults.total_signals} signals`);
@@ -156,8 +168,9 @@ async function analyzeAllSignals() {
     console.log('   Make sure GEMINI_API_KEY1 is set in .env file');
   }
   
-  // Save results
-  const resultsDir = path.join('data', today);
+  // Save results ke direktori run (data/<date>/runs/<runId>/), run lain di hari yang sama tidak tertimpa
+  const resultsDir = ctx.runDir;
+  ctx.ensureDirs();
   if (geminiResults) {
     const geminiFile = path.join(resultsDir, 'gemini_all_signals_analysis.json');
     writeFileSync(geminiFile, JSON.stringify(geminiResults, null, 2));
@@ -224,6 +237,7 @@ ${index + 1}. ${analysis.project_name} - ${analysis.opportunity_type} (Score: ${
   
   // Finalize tracker
   tracker.finalize();
+  saveRunContext(ctx, { phase2: { new_signals: newSignals.length, unique_signals: uniqueSignals.length, analyses: geminiResults?.all_analyses.length || 0 } });
   
   // No basic analysis results to save
   
@@ -1,11 +1,11 @@
 #!/usr/bin/env node
 
 import 'dotenv/config';
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'node:fs';
-import path from 'node:path';
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
 import fetch from 'node-fetch';
 import { AdvancedDeduplication } from '../utils/advanced_deduplication.mjs';
-import { toSwissTime, localISO } from '../utils/time_window.mjs';
+import { localISO } from '../utils/time_window.mjs';
+import { loadLatestRunContext, saveRunContext } from '../utils/run_context.mjs';
 
 // Telegram Bot configuration
 const TG_TOKEN = process.env.TG_TOKEN;
@@ -40,8 +40,8 @@ function formatEarlyDetectionMessage(analysis, index, originalSignal) {
   // Get original source and title
   const source = originalSignal ? originalSignal.source : 'Unknown';
   const originalTitle = originalSignal ? originalSignal.title : project_name;
-  const originalTime = originalSignal ? originalSignal.time : null;
-  const postedAt = originalTime ? localISO(toSwissTime(new Date(originalTime))) : null;
+  const originalTime = originalSignal ? (originalSignal.published_at || originalSignal.time) : null;
+  const postedAt = originalTime ? localISO(new Date(originalTime)) : null;
   
   // Create title from source with Gemini enhancement
   const enhancedTitle = `${originalTitle} | ${project_name}`;
@@ -196,9 +196,14 @@ async function sendToTelegramBot(message, botConfig, maxRetries = 3) {
 }
 
 // Main publishing function with early detection focus
-async function publishEarlyDetection() {
+//   options.runContext: konteks run dari Phase 1/2 (default: run terakhir di data/latest_run.json)
+//   options.analyses:   analysis yang di-inject langsung (telegram_listener.mjs) menggantikan file Phase 2
+//   options.signals:    signal asli untuk source mapping, menggantikan daily_signals.json
+async function publishEarlyDetection(options = {}) {
+  const ctx = options.runContext || loadLatestRunContext();
   console.log('📢 Phase 3: Publishing Early Detection Results (Advanced Deduplication)...');
   console.log('=====================================================================');
+  console.log(`🆔 Run: ${ctx.runId} (${ctx.date}, ${ctx.timeZone})`);
   
   // Initialize Advanced Deduplication
   const deduplication = new AdvancedDeduplication();
@@ -230,15 +235,19 @@ async function publishEarlyDetection() {
   };
   
   // Load analysis results from Phase 2
-  const today = new Date().toISOString().slice(0, 10);
-  const geminiFile = path.join('data', today, 'gemini_all_signals_analysis.json');
-  const signalsFile = path.join('data', today, 'daily_signals.json');
+  // Analysis dari direktori run; file harian lama (sebelum per-run output) sebagai fallback
+  const runGeminiFile = ctx.runFile('gemini_all_signals_analysis.json');
+  const geminiFile = existsSync(runGeminiFile) ? runGeminiFile : ctx.dayFile('gemini_all_signals_analysis.json');
+  const signalsFile = ctx.dayFile('daily_signals.json');
   
   let analyses = [];
   let originalSignals = [];
   
-  // Try Gemini results first
-  if (existsSync(geminiFile)) {
+  // Analysis yang di-inject dipakai apa adanya; selain itu Gemini results dari Phase 2
+  if (Array.isArray(options.analyses)) {
+    analyses = options.analyses;
+    console.log(`📥 Received ${analyses.length} injected analyses`);
+  } else if (existsSync(geminiFile)) {
     console.log('📊 Loading Gemini analysis results...');
     const geminiData = JSON.parse(readFileSync(geminiFile, 'utf8'));
     
@@ -265,7 +274,9 @@ async function publishEarlyDetection() {
   }
   
   // Load original signals for source mapping
-  if (existsSync(signalsFile)) {
+  if (Array.isArray(options.signals)) {
+    originalSignals = options.signals;
+  } else if (existsSync(signalsFile)) {
     console.log('📊 Loading original signals for source mapping...');
     const signalsData = JSON.parse(readFileSync(signalsFile, 'utf8'));
     originalSignals = signalsData.signals || [];
@@ -823,15 +834,11 @@ async function publishEarlyDetection() {
     });
     
     // Save failed messages to file for manual review
-    const today = new Date().toISOString().slice(0, 10);
-    const failedDir = path.join('data', today);
-    if (!existsSync(failedDir)) {
-      mkdirSync(failedDir, { recursive: true });
-    }
-    
-    const failedFile = path.join(failedDir, 'failed_telegram_messages.json');
+    ctx.ensureDirs();
+    const failedFile = ctx.runFile('failed_telegram_messages.json');
     writeFileSync(failedFile, JSON.stringify({
-      timestamp: new Date().toISOString(),
+      timestamp: ctx.now(),
+      run_id: ctx.runId,
       total_failed: publishResults.failed,
       failed_messages: publishResults.failedMessages
     }, null, 2));
@@ -842,6 +849,7 @@ async function publishEarlyDetection() {
   
   // Finalize deduplication tracker
   deduplication.finalize();
+  saveRunContext(ctx, { phase3: { total: publishResults.total, sent: publishResults.sent, failed: publishResults.failed } });
   
   console.log('\n📊 Content Summary:');
   console.log('==================');
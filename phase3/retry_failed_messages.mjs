@@ -2,8 +2,8 @@
 
 import 'dotenv/config';
 import { readFileSync, writeFileSync, existsSync } from 'node:fs';
-import path from 'node:path';
 import fetch from 'node-fetch';
+import { loadLatestRunContext } from '../utils/run_context.mjs';
 
 // Telegram Bot configuration
 const TG_TOKEN = process.env.TG_TOKEN;
@@ -72,9 +72,12 @@ async function retryFailedMessages() {
   console.log('🔄 Retrying Failed Telegram Messages...');
   console.log('=====================================');
   
-  // Find the most recent failed messages file
-  const today = new Date().toISOString().slice(0, 10);
-  const failedFile = path.join('data', today, 'failed_telegram_messages.json');
+  // Failed messages of the latest run (fallback: legacy per-day file)
+  const runContext = loadLatestRunContext();
+  let failedFile = runContext.runFile('failed_telegram_messages.json');
+  if (!existsSync(failedFile)) {
+    failedFile = runContext.dayFile('failed_telegram_messages.json');
+  }
   
   if (!existsSync(failedFile)) {
     console.log('❌ No failed messages file found');
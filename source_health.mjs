@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+import { existsSync } from 'node:fs';
+import { SourceHealthTracker, ADAPTER_HEALTH_ID } from './utils/source_health.mjs';
+
+/**
+ * Source Health Table
+ *
+ * Prints the health of every feed, channel and repo collected in Phase 1
+ * (data/source_health.json): last success, consecutive failures, latency,
+ * item yield and quarantine status. Rows `<adapter>:_adapter` track the whole
+ * collector (missing session, rejected token, crash or timeout) and are listed first.
+ *
+ * Usage:
+ *   node source_health.mjs                  # all sources, worst first
+ *   node source_health.mjs --failing        # only sources with consecutive failures
+ *   node source_health.mjs --reset rss:Messari   # lift quarantine for one source
+ *   node source_health.mjs --reset all           # lift all quarantines
+ */
+
+function formatAgo(iso) {
+  if (!iso) return 'never';
+  const hours = (Date.now() - Date.parse(iso)) / (1000 * 60 * 60);
+  return hours < 48 ? `${hours.toFixed(1)}h ago` : `${(hours / 24).toFixed(1)}d ago`;
+}
+
+function pad(value, width) {
+  const text = String(value ?? '-');
+  return text.length > width ? `${text.slice(0, width - 1)}…` : text.padEnd(width);
+}
+
+function printHealthTable(tracker, { failingOnly = false } = {}) {
+  console.log('🩺 Source Health');
+  console.log('================');
+
+  const isAdapter = (entry) => entry.id === ADAPTER_HEALTH_ID;
+  let entries = tracker.getEntries()
+    .sort((a, b) => isAdapter(b) - isAdapter(a) || b.consecutive_failures - a.consecutive_failures || a.key.localeCompare(b.key));
+  if (failingOnly) {
+    entries = entries.filter(entry => entry.consecutive_failures > 0);
+  }
+
+  if (entries.length === 0) {
+    console.log(failingOnly ? '✅ No failing sources' : '❌ No health data yet. Run Phase 1 first.');
+    return;
+  }
+
+  console.log(`${pad('SOURCE', 40)} ${pad('STATUS', 12)} ${pad('FAILS', 6)} ${pad('LAST SUCCESS', 14)} ${pad('LATENCY', 9)} ${pad('ITEMS', 11)} LAST ERROR`);
+  for (const entry of entries) {
+    const status = tracker.isQuarantined(entry.adapter, entry.id)
+      ? '🚧 quarant.'
+      : entry.consecutive_failures > 0 ? (isAdapter(entry) ? '❌ down' : '⚠️ failing') : '✅ ok';
+    const latency = entry.avg_latency_ms === null ? '-' : `${(entry.avg_latency_ms / 1000).toFixed(1)}s`;
+    const items = `${entry.last_items} (~${entry.avg_items ?? 0})`;
+    console.log(
+      `${pad(entry.key, 40)} ${pad(status, 12)} ${pad(`${entry.consecutive_failures}/${entry.total_failures}`, 6)} ` +
+      `${pad(formatAgo(entry.last_success), 14)} ${pad(latency, 9)} ${pad(items, 11)} ${entry.consecutive_failures > 0 ? entry.last_error : ''}`
+    );
+    if (tracker.isQuarantined(entry.adapter, entry.id)) {
+      console.log(`${' '.repeat(41)}↳ retry after ${entry.quarantined_until}`);
+    }
+  }
+
+  const stats = tracker.getStats();
+  console.log(`\n📊 ${stats.tracked} tracked, ${stats.failing} failing, ${stats.quarantined} quarantined`);
+}
+
+const args = process.argv.slice(2);
+const tracker = new SourceHealthTracker();
+
+if (!existsSync(tracker.file)) {
+  console.log(`❌ ${tracker.file} not found. Run Phase 1 first.`);
+  process.exit(0);
+}
+
+const resetIndex = args.indexOf('--reset');
+if (resetIndex !== -1) {
+  const key = args[resetIndex + 1];
+  if (!key) {
+    console.error('❌ Usage: node source_health.mjs --reset <adapter:id|all>');
+    process.exit(1);
+  }
+  const count = tracker.reset(key === 'all' ? undefined : key);
+  tracker.save();
+  console.log(count > 0 ? `✅ Quarantine lifted for ${count} source(s)` : `⚠️  Unknown source: ${key}`);
+} else {
+  printHealthTable(tracker, { failingOnly: args.includes('--failing') });
+}
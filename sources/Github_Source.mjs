@@ -2,189 +2,711 @@
 
 import 'dotenv/config';
 import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'node:fs';
-import { ghFetchJSON, delay, checkRateLimit } from '../utils/github_fetch.mjs';
-import { cutoffMs24h } from '../utils/time_window.mjs';
-
-// Konfigurasi repo GitHub yang paling "signalful" untuk early plays
-const GITHUB_SOURCES = [
-  // Wave 1 — Core Ethereum & L2 frameworks (sangat berdampak)
-  { "repo": "ethereum/go-ethereum", "category": "core-L1", "priority": 10 },
-  { "repo": "NethermindEth/nethermind", "category": "core-L1", "priority": 9 },
-  { "repo": "erigontech/erigon", "category": "core-L1", "priority": 8 },
-  { "repo": "sigp/lighthouse", "category": "core-L1", "priority": 7 },
-  { "repo": "prysmaticlabs/prysm", "category": "core-L1", "priority": 7 },
-  { "repo": "ConsenSys/teku", "category": "core-L1", "priority": 7 },
-  { "repo": "status-im/nimbus-eth2", "category": "core-L1", "priority": 7 },
-
-  // L2 frameworks
-  { "repo": "ethereum-optimism/optimism", "category": "L2", "priority": 9 },
-  { "repo": "OffchainLabs/nitro", "category": "L2", "priority": 9 },
-  { "repo": "matter-labs/zksync-era", "category": "L2", "priority": 9 },
-  { "repo": "scroll-tech/scroll", "category": "L2", "priority": 8 },
-  { "repo": "taikoxyz/taiko-mono", "category": "L2", "priority": 8 },
-  { "repo": "starkware-libs/cairo", "category": "toolchain", "priority": 7 },
-
-  // Wave 2 — L1 baru & high-velocity chains
-  { "repo": "solana-labs/solana", "category": "alt-L1", "priority": 10 },
-  { "repo": "aptos-labs/aptos-core", "category": "alt-L1", "priority": 9 },
-  { "repo": "MystenLabs/sui", "category": "alt-L1", "priority": 9 },
-  { "repo": "celestiaorg/celestia-app", "category": "modular-DA", "priority": 9 },
-  { "repo": "celestiaorg/celestia-node", "category": "modular-DA", "priority": 8 },
-  { "repo": "FuelLabs/fuel-core", "category": "alt-L1", "priority": 8 },
-  { "repo": "category-labs/monad", "category": "alt-L1", "priority": 7 },
-  { "repo": "sei-protocol/sei-chain", "category": "alt-L1", "priority": 7 },
-
-  // Wave 3 — Restaking/DA & infra yang sering muncul di dealflow "early"
-  { "repo": "Layr-Labs/eigenda", "category": "restaking/DA", "priority": 8 },
-  { "repo": "Layr-Labs/eigensdk-go", "category": "restaking/DA", "priority": 6 },
-];
-
-// Keywords untuk filter sinyal testnet/mainnet
-const SIGNAL_KEYWORDS = /(testnet|mainnet|devnet|incentivized|genesis|rc\b|beta|alpha|airdrop|points|migration|staking|validator|node|launch|upgrade|fork|hard|soft|eip|grant|ecosystem|fund|eligible|app|tx|claimable|claimer|bridge|deploy)/i;
-
-// Rate limiting configuration
-const RATE_LIMIT_DELAY = 1000; // 1 second between requests
-const MAX_RETRIES = 3;
-const RETRY_DELAY = 2000; // 2 seconds
-
-// Check if item is from last 24 hours using consistent cutoff
-function isRecent24h(iso) {
+import { ghFetchJSON, checkRateLimit, isRateLimitError, getGitHubUsage, resetGitHubUsage, saveEtagCache } from '../utils/github_fetch.mjs';
+import { resolveWindow, isInWindow, zonedDate } from '../utils/time_window.mjs';
+import { mapWithConcurrency, isAbortError } from '../utils/concurrency.mjs';
+import { createSignal } from '../utils/signal_schema.mjs';
+import { getKeywordMatcher, createKeywordMatcher, createMatchReport } from '../utils/keyword_matcher.mjs';
+import { loadWatchlist, loadWatchedOrgs, DEFAULT_TRACK, WATCHLIST_PATH } from '../utils/github_watchlist.mjs';
+import { DevActivityBaseline } from '../utils/dev_activity_baseline.mjs';
+import { prefetchWatchlistGraphQL } from './github_graphql.mjs';
+import { parseReleaseNotes } from '../utils/release_notes.mjs';
+import { parseProposalPath, parseStatusChange, parseFrontMatter } from '../utils/eip_status.mjs';
+
+// Watchlist repo GitHub yang paling "signalful" untuk early plays (config/github_watchlist.json,
+// kelola lewat `node github_watchlist.mjs`)
+const GITHUB_SOURCES = loadWatchlist();
+
+// Keywords untuk filter sinyal testnet/mainnet (keyword set "github" di keywords.mjs)
+const SIGNAL_KEYWORDS = getKeywordMatcher('github');
+
+// Concurrency default (bisa di-override lewat config/sources.json → github.concurrency)
+const DEFAULT_CONCURRENCY = 4;
+
+// Check if item falls inside the collection window (default: last 24 hours)
+function isRecent(iso, window) {
   const t = Date.parse(iso || '');
   if (Number.isNaN(t)) return true; // Don't filter out items without date (tag fallback)
-  return t >= cutoffMs24h(); // Use consistent cutoff from utils
+  return isInWindow(t, window);
+}
+
+// Check if item looks like early signal → { matched, hits, excludedBy }
+// Release notes ikut lewat field hasil parse (network, upgrade), bukan seluruh body markdown
+function matchEarlySignal(item) {
+  const notes = item.meta?.release_notes;
+  const parsed = notes ? [
+    ...notes.networks.map(network => (['mainnet', 'devnet'].includes(network) ? network : 'testnet')),
+    ...notes.upgrades.map(name => `${name} upgrade`),
+    notes.required_upgrade && 'required upgrade'
+  ].filter(Boolean).join(' ') : '';
+  const hay = `${item.title || ''} ${item.meta?.tag || ''} ${(item.meta?.labels || []).join(' ')} ${parsed}`;
+  return SIGNAL_KEYWORDS.match(hay);
+}
+
+// Flag release notes → tags signal (mis. "testnet", "required-upgrade")
+function releaseNoteTags(notes) {
+  return [
+    ...notes.networks,
+    notes.breaking && 'breaking',
+    notes.required_upgrade && 'required-upgrade',
+    notes.security && 'security'
+  ];
+}
+
+// Commit per request; halaman berikutnya diambil sampai since tercapai
+const COMMITS_PER_PAGE = 100;
+
+// Jumlah tag terakhir yang diingat per repo (Tags API tidak punya tanggal)
+const MAX_SEEN_TAGS = 50;
+// Tanggal commit tag baru dicari satu per satu (REST); maksimal sekian tag per repo per run
+const MAX_TAG_DATE_LOOKUPS = 10;
+// Issue & PR yang di-update per request (track "issues")
+const ISSUES_PER_PAGE = 50;
+// Label/judul issue & PR yang dipantau (override lewat config/sources.json → github.issueTerms)
+const DEFAULT_ISSUE_TERMS = ['testnet', 'mainnet', 'genesis', 'incentivi*'];
+// Commit repo EIP yang diperiksa (detail + patch) per repo per run; sisanya run berikutnya
+const MAX_EIP_COMMIT_LOOKUPS = 20;
+
+function releaseTime(release) {
+  return Date.parse(release.published_at || release.created_at || '') || 0;
+}
+
+// Releases terbaru. Dengan cursor, halaman kecil diambil sampai bertemu release
+// yang sudah pernah dilihat, jadi run normal biasanya cukup satu request kecil.
+async function fetchReleases(owner, repo, sinceMs, signal) {
+  if (!sinceMs) {
+    return ghFetchJSON(`/repos/${owner}/${repo}/releases?per_page=20`, { signal });
+  }
+
+  const releases = [];
+  for (let page = 1; releases.length < 20; page++) {
+    const batch = await ghFetchJSON(`/repos/${owner}/${repo}/releases?per_page=5&page=${page}`, { signal });
+    const fresh = batch.filter(r => releaseTime(r) > sinceMs);
+    releases.push(...fresh);
+    if (batch.length < 5 || fresh.length < batch.length) break;
+  }
+  return releases;
+}
+
+// Semua commit sejak since (terbaru dulu), halaman demi halaman sampai halaman tidak penuh, supaya
+// cursor yang digeser ke commit terbaru tidak melompati commit yang belum diambil. Hanya halaman
+// pertama yang memakai ETag cache (URL-nya stabil selama cursor tidak bergeser).
+async function fetchCommits(owner, repo, since, until, { cache, signal }) {
+  const untilParam = until ? `&until=${until}` : '';
+  const commits = [];
+  for (let page = 1; ; page++) {
+    const pageParam = page > 1 ? `&page=${page}` : '';
+    const batch = await ghFetchJSON(`/repos/${owner}/${repo}/commits?per_page=${COMMITS_PER_PAGE}&since=${since}${untilParam}${pageParam}`, { signal, cache: cache && page === 1 });
+    commits.push(...batch);
+    if (batch.length < COMMITS_PER_PAGE) return commits;
+  }
+}
+
+// Window yang berakhir "sekarang" tidak perlu until; window historis (backfill) memakai until
+function commitsUntil(window) {
+  return window.endMs < Date.now() - 60 * 1000 ? new Date(window.endMs).toISOString() : null;
+}
+
+// Parameter since untuk REST (commits, issues) → { since, cache }. Dengan cursor, since = cursor
+// terakhir (+1 detik, since bersifat inklusif): cursor hanya bergeser saat ada data baru, jadi URL
+// repo yang tidak berubah tetap sama dan dijawab 304 dari ETag cache. Tanpa cursor (run pertama,
+// --full) atau dengan until (backfill) since = awal window; URL itu berubah setiap run dan tidak
+// di-cache. Cursor bisa lebih tua dari window: item di luar window difilter pemanggil.
+function sinceParams(iso, window) {
+  const cursorMs = Date.parse(iso || '') || 0;
+  if (!cursorMs || commitsUntil(window)) {
+    return { since: new Date(Math.max(window.startMs, cursorMs ? cursorMs + 1000 : 0)).toISOString(), cache: false };
+  }
+  return { since: new Date(cursorMs + 1000).toISOString(), cache: true };
+}
+
+// Query GraphQL (POST) tidak memakai ETag cache: since cukup cursor atau awal window, mana yang lebih baru
+function graphqlCommitsSince(cursor, window) {
+  const cursorMs = Date.parse(cursor?.commits_since || '') || 0;
+  return new Date(Math.max(window.startMs, cursorMs ? cursorMs + 1000 : 0)).toISOString();
+}
+
+function commitTime(commit) {
+  return Date.parse(commit.commit?.committer?.date || commit.commit?.author?.date || '') || 0;
 }
 
-// Check if item looks like early signal
-function looksEarlySignal(item) {
-  const hay = `${item.title || ''} ${item.tag || ''}`;
-  return SIGNAL_KEYWORDS.test(hay);
+// Sumber data per repo untuk getRepoSignals. REST dipakai default; mode GraphQL
+// (sources/github_graphql.mjs) menyediakan fetcher dengan bentuk data REST yang sama.
+//   releases(sinceMs) → release objects (/releases)
+//   tags()            → [{ name, commit: { sha, date? } }] (/tags)
+//   commits(since, until, { cache }) → semua commit sejak since (/commits); until null = sampai sekarang
+//   pulls()           → PR tertutup terbaru (/pulls?state=closed)
+//   commitDetails(sha) → commit lengkap dengan files[].patch (/commits/:sha)
+//   commitDate(sha)   → tanggal commit ISO (untuk tag tanpa tanggal)
+//   issues(since, { cache }) → issue & PR yang di-update sejak since (/issues, PR punya field pull_request)
+//   fileContent(path, ref) → isi file teks (/contents)
+// Fetcher GraphQL hanya mengganti sebagian method; sisanya tetap REST.
+function createRestFetcher(owner, repo, signal) {
+  const commitDetails = (sha) => ghFetchJSON(`/repos/${owner}/${repo}/commits/${sha}`, { signal });
+  return {
+    commitDetails,
+    commitDate: async (sha) => {
+      const commit = await commitDetails(sha);
+      return commit.commit?.committer?.date || commit.commit?.author?.date || null;
+    },
+    issues: (since, { cache = true } = {}) => ghFetchJSON(`/repos/${owner}/${repo}/issues?state=all&sort=updated&direction=desc&since=${since}&per_page=${ISSUES_PER_PAGE}`, { signal, cache }),
+    fileContent: async (filePath, ref) => {
+      const file = await ghFetchJSON(`/repos/${owner}/${repo}/contents/${filePath}?ref=${ref}`, { signal });
+      return Buffer.from(file.content || '', file.encoding === 'base64' ? 'base64' : 'utf8').toString('utf8');
+    },
+    releases: (sinceMs) => fetchReleases(owner, repo, sinceMs, signal),
+    tags: () => ghFetchJSON(`/repos/${owner}/${repo}/tags?per_page=20`, { signal }),
+    commits: (since, until, { cache = true } = {}) => fetchCommits(owner, repo, since, until, { cache, signal }),
+    pulls: () => ghFetchJSON(`/repos/${owner}/${repo}/pulls?state=closed&sort=updated&direction=desc&per_page=20`, { signal })
+  };
 }
 
 // Get signals from a single repository
-async function getRepoSignals(owner, repo, category, priority) {
+//   options.window:  collection window (default 24 jam)
+//   options.signal:  AbortSignal — request yang belum selesai dibatalkan saat deadline
+//   options.cursors: cursor source GitHub (lihat utils/cursor_store.mjs); hanya item
+//                    yang lebih baru dari cursor repo yang diambil
+//   options.failures: array opsional, diisi { part, error, rateLimited } untuk request yang gagal (bukan abort)
+//   options.track:   event yang diambil (releases/tags/commits/pulls/issues/eip_status, lihat utils/github_watchlist.mjs)
+//   options.activity: DevActivityBaseline opsional; commit & PR merge dihitung ke baseline repo
+//   options.commitSignals: emit signal per commit (default false, commit hanya dihitung)
+//   options.issueTerms: label/judul issue & PR yang dipantau (default DEFAULT_ISSUE_TERMS)
+//   options.fetcher: sumber data repo (default createRestFetcher; method yang tidak ada → REST)
+async function getRepoSignals(owner, repo, category, priority, options = {}) {
+  const { window = resolveWindow(), signal, cursors, failures = [], track = DEFAULT_TRACK, activity, commitSignals = false } = options;
+  const rest = createRestFetcher(owner, repo, signal);
+  const fetcher = { ...rest, ...options.fetcher };
+  const recordFailure = (part, error) => {
+    if (!isAbortError(error)) failures.push({ part, error: error.message, rateLimited: isRateLimitError(error) });
+  };
   const results = [];
   const repoFull = `${owner}/${repo}`;
+  const cursor = cursors?.get(repoFull) || {};
+  const nextCursor = { ...cursor };
 
   try {
     // 1) Releases (strongest signal for releases/testnet)
-    try {
-      const releases = await ghFetchJSON(`/repos/${owner}/${repo}/releases?per_page=20`);
-      for (const r of releases) {
-        results.push({
-          type: 'release',
-          repo: repoFull,
-          category,
-          priority,
-          title: r.name || r.tag_name || '(no title)',
-          tag: r.tag_name,
-          draft: r.draft,
-          prerelease: r.prerelease,
-          url: r.html_url,
-          published_at: r.published_at || r.created_at,
-          body: r.body || '',
-          author: r.author?.login || 'unknown',
-          channel: 'github'
-        });
+    if (track.includes('releases')) {
+      try {
+        const releasesSince = Date.parse(cursor.releases_since || '') || 0;
+        const releases = await fetcher.releases(releasesSince);
+        const newest = Math.max(releasesSince, ...releases.map(releaseTime));
+        if (newest > 0) nextCursor.releases_since = new Date(newest).toISOString();
+        for (const r of releases) {
+          const notes = parseReleaseNotes({ tag: r.tag_name, title: r.name, body: r.body, prerelease: r.prerelease });
+          results.push(createSignal({
+            id: `github:${repoFull}:release:${r.id}`,
+            source: repoFull,
+            channel: 'github',
+            type: 'release',
+            title: r.name || r.tag_name || '(no title)',
+            body: r.body || '',
+            url: r.html_url,
+            published_at: r.published_at || r.created_at,
+            author: r.author?.login || null,
+            tags: ['release', notes.is_prerelease && 'prerelease', r.draft && 'draft', ...releaseNoteTags(notes)],
+            category,
+            priority,
+            meta: { repo: repoFull, tag: r.tag_name, draft: r.draft, prerelease: r.prerelease, release_notes: notes },
+            raw: { id: r.id, tag_name: r.tag_name, name: r.name }
+          }));
+        }
+        console.log(`✅ ${repoFull}: Found ${releases.length} ${releasesSince ? 'new ' : ''}releases`);
+      } catch (e) {
+        console.warn(`⚠️ releases API fail for ${repoFull}: ${e.message}`);
+        recordFailure('releases', e);
       }
-      console.log(`✅ ${repoFull}: Found ${releases.length} releases`);
-    } catch (e) {
-      console.warn(`⚠️ releases API fail for ${repoFull}: ${e.message}`);
     }
 
-    // 2) If no releases at all → fallback to Tags
-    if (results.length === 0) {
+    // 2) Tags: tanpa releases selalu diambil; dengan releases hanya fallback jika repo belum punya
+    //    release sama sekali (repo dengan cursor release tidak perlu fallback)
+    const tagFallback = !track.includes('releases') || (results.length === 0 && !nextCursor.releases_since);
+    if (track.includes('tags') && tagFallback) {
       try {
-        const tags = await ghFetchJSON(`/repos/${owner}/${repo}/tags?per_page=20`);
-        for (const t of tags) {
-          results.push({
+        const tags = await fetcher.tags();
+        const seenTags = new Set(cursor.tags || []);
+        let newTags = tags.filter(t => !seenTags.has(t.name));
+        nextCursor.tags = [...new Set([...tags.map(t => t.name), ...(cursor.tags || [])])].slice(0, MAX_SEEN_TAGS);
+        
+        // Tanggal asli dari commit tag (GraphQL sudah menyertakannya)
+        for (const t of newTags.filter(tag => !tag.commit?.date && tag.commit?.sha).slice(0, MAX_TAG_DATE_LOOKUPS)) {
+          try {
+            t.commit.date = await fetcher.commitDate(t.commit.sha);
+          } catch (e) {
+            if (isAbortError(e)) throw e;
+            console.warn(`⚠️ commit date lookup failed for ${repoFull}@${t.name}: ${e.message}`);
+          }
+        }
+        // Repo yang belum pernah dilihat: hanya tag yang commit-nya di dalam window
+        if (!cursor.tags) {
+          newTags = newTags.filter(t => !t.commit?.date || isInWindow(Date.parse(t.commit.date), window));
+        }
+        
+        for (const t of newTags) {
+          const notes = parseReleaseNotes({ tag: t.name });
+          results.push(createSignal({
+            id: `github:${repoFull}:tag:${t.name}`,
+            source: repoFull,
+            channel: 'github',
             type: 'tag',
-            repo: repoFull,
-            category,
-            priority,
             title: t.name,
-            tag: t.name,
             url: `https://github.com/${owner}/${repo}/releases/tag/${encodeURIComponent(t.name)}`,
-            published_at: new Date().toISOString(), // GitHub Tags API doesn't provide date
-            body: '',
-            author: 'unknown',
-            channel: 'github'
-          });
+            // Tanggal commit tag; waktu ditemukan jika lookup gagal/dilewati
+            published_at: t.commit?.date || new Date().toISOString(),
+            tags: ['tag', notes.is_prerelease && 'prerelease'],
+            category,
+            priority,
+            meta: {
+              repo: repoFull,
+              tag: t.name,
+              sha: t.commit?.sha || null,
+              date_source: t.commit?.date ? 'commit' : 'discovered',
+              release_notes: notes
+            },
+            raw: { name: t.name, commit: t.commit?.sha || null }
+          }));
         }
-        console.log(`✅ ${repoFull}: Found ${tags.length} tags (fallback)`);
+        console.log(`✅ ${repoFull}: Found ${newTags.length} new of ${tags.length} tags${track.includes('releases') ? ' (fallback)' : ''}`);
       } catch (e) {
         console.warn(`⚠️ tags API fail for ${repoFull}: ${e.message}`);
+        recordFailure('tags', e);
       }
     }
 
-    // 3) Dev activity booster → Recent commits (to detect spikes)
-    try {
-      const commits = await ghFetchJSON(`/repos/${owner}/${repo}/commits?per_page=10`);
-      for (const c of commits) {
-        results.push({
-          type: 'commit',
-          repo: repoFull,
-          category,
-          priority,
-          title: (c.commit && c.commit.message ? c.commit.message.split('\n')[0] : 'commit'),
-          url: c.html_url,
-          author: c.author?.login || c.commit?.author?.name || 'unknown',
-          published_at: c.commit?.author?.date || c.commit?.committer?.date || new Date().toISOString(),
-          body: c.commit?.message || '',
-          tag: null,
-          channel: 'github'
-        });
+    // 3) Dev activity → commit terbaru (dihitung untuk spike detection, signal per commit opsional)
+    if (track.includes('commits')) {
+      try {
+        const commitCursorMs = Date.parse(cursor.commits_since || '') || 0;
+        const { since, cache } = sinceParams(cursor.commits_since, window);
+        const commits = await fetcher.commits(since, commitsUntil(window), { cache });
+        const commitDates = commits.map(c => c.commit?.committer?.date || c.commit?.author?.date || null);
+        const newestCommit = Math.max(commitCursorMs, ...commitDates.map(date => Date.parse(date || '') || 0));
+        if (newestCommit > 0) nextCursor.commits_since = new Date(newestCommit).toISOString();
+        activity?.record(repoFull, 'commits', commitDates);
+        // Commit sebelum window (cursor lama) tetap masuk baseline, tapi tidak dikirim sebagai signal
+        for (const c of commitSignals ? commits.filter(c => commitTime(c) >= window.startMs) : []) {
+          results.push(createSignal({
+            id: `github:${repoFull}:commit:${c.sha}`,
+            source: repoFull,
+            channel: 'github',
+            type: 'commit',
+            title: (c.commit && c.commit.message ? c.commit.message.split('\n')[0] : 'commit'),
+            body: c.commit?.message || '',
+            url: c.html_url,
+            published_at: c.commit?.author?.date || c.commit?.committer?.date || new Date().toISOString(),
+            author: c.author?.login || c.commit?.author?.name || null,
+            tags: ['commit'],
+            category,
+            priority,
+            meta: { repo: repoFull, sha: c.sha },
+            raw: { sha: c.sha }
+          }));
+        }
+        console.log(`✅ ${repoFull}: Found ${commits.length} recent commits`);
+      } catch (e) {
+        console.warn(`⚠️ commits API fail for ${repoFull}: ${e.message}`);
+        recordFailure('commits', e);
+      }
+    }
+
+    // 4) Pull request yang baru di-merge (PR terakhir di-update dulu, lalu difilter merged_at).
+    //    Hanya merge di dalam window: run pertama tidak mengisi baseline dengan merge lama.
+    if (track.includes('pulls')) {
+      try {
+        const pullsSince = Date.parse(cursor.pulls_since || '') || 0;
+        const pulls = await fetcher.pulls();
+        const merged = pulls.filter(p => p.merged_at && Date.parse(p.merged_at) > pullsSince && isInWindow(Date.parse(p.merged_at), window));
+        const newestPull = Math.max(pullsSince, ...merged.map(p => Date.parse(p.merged_at)));
+        if (newestPull > 0) nextCursor.pulls_since = new Date(newestPull).toISOString();
+        activity?.record(repoFull, 'merged_prs', merged.map(p => p.merged_at));
+        for (const p of merged) {
+          const labels = (p.labels || []).map(label => label.name);
+          results.push(createSignal({
+            id: `github:${repoFull}:pull:${p.number}`,
+            source: repoFull,
+            channel: 'github',
+            type: 'pull_request',
+            title: p.title || `PR #${p.number}`,
+            body: p.body || '',
+            url: p.html_url,
+            published_at: p.merged_at,
+            author: p.user?.login || null,
+            tags: ['pull_request', ...labels],
+            category,
+            priority,
+            meta: { repo: repoFull, number: p.number, labels, merged_at: p.merged_at },
+            raw: { number: p.number, merge_commit_sha: p.merge_commit_sha || null }
+          }));
+        }
+        console.log(`✅ ${repoFull}: Found ${merged.length} merged pull requests`);
+      } catch (e) {
+        console.warn(`⚠️ pulls API fail for ${repoFull}: ${e.message}`);
+        recordFailure('pulls', e);
+      }
+    }
+
+    // 5) Issue & PR berlabel (testnet, mainnet, genesis, ...). Issues API mengembalikan issue
+    //    dan PR sekaligus; item lama yang baru diberi label ikut karena updated_at-nya berubah.
+    if (track.includes('issues')) {
+      try {
+        const { since: issuesSince, cache } = sinceParams(cursor.issues_since, window);
+        const updated = await fetcher.issues(issuesSince, { cache });
+        const newestUpdate = Math.max(Date.parse(cursor.issues_since || '') || 0, ...updated.map(i => Date.parse(i.updated_at) || 0));
+        if (newestUpdate > 0) nextCursor.issues_since = new Date(newestUpdate).toISOString();
+        const items = updated.filter(item => (Date.parse(item.updated_at) || 0) >= window.startMs);
+        if (updated.length >= ISSUES_PER_PAGE) {
+          console.warn(`⚠️ ${repoFull}: ${ISSUES_PER_PAGE}+ issues updated since ${issuesSince}, older updates are skipped`);
+        }
+
+        const issueMatcher = createKeywordMatcher({ include: options.issueTerms || DEFAULT_ISSUE_TERMS });
+        // PR yang sudah dikirim sebagai merged PR di run ini tidak dikirim dua kali
+        const emitted = new Set(results.map(r => r.id));
+        let labelled = 0;
+        for (const item of items) {
+          const labels = (item.labels || []).map(label => (typeof label === 'string' ? label : label.name));
+          const watch = issueMatcher.match(`${item.title || ''} ${labels.join(' ')}`);
+          const isPull = Boolean(item.pull_request);
+          const id = `github:${repoFull}:${isPull ? 'pull' : 'issue'}:${item.number}`;
+          if (!watch.matched || emitted.has(id)) continue;
+          labelled++;
+          const isNew = Date.parse(item.created_at) >= Date.parse(issuesSince);
+          results.push(createSignal({
+            id,
+            source: repoFull,
+            channel: 'github',
+            type: isPull ? 'pull_request' : 'issue',
+            title: item.title || `#${item.number}`,
+            body: item.body || '',
+            url: item.html_url,
+            // Item lama yang baru diberi label/di-rename: pakai waktu update
+            published_at: isNew ? item.created_at : item.updated_at,
+            author: item.user?.login || null,
+            tags: [isPull ? 'pull_request' : 'issue', ...labels],
+            category,
+            priority,
+            meta: {
+              repo: repoFull,
+              number: item.number,
+              state: item.state,
+              labels,
+              watch_hits: watch.hits,
+              comments: item.comments ?? 0,
+              created_at: item.created_at,
+              updated_at: item.updated_at,
+              closed_at: item.closed_at || null,
+              merged_at: item.pull_request?.merged_at || null
+            },
+            raw: { id: item.id, number: item.number }
+          }));
+        }
+        console.log(`✅ ${repoFull}: Found ${labelled} labelled issues/PRs of ${items.length} updated`);
+      } catch (e) {
+        console.warn(`⚠️ issues API fail for ${repoFull}: ${e.message}`);
+        recordFailure('issues', e);
+      }
+    }
+
+    // 6) Perubahan status proposal EIP/ERC/RIP: baris "status:" di patch setiap commit
+    if (track.includes('eip_status')) {
+      try {
+        const { since, cache } = sinceParams(cursor.eip_since, window);
+        const fetched = await rest.commits(since, commitsUntil(window), { cache });
+        // Commit sebelum window (cursor lama) tidak diperiksa, cursor langsung melewatinya
+        const commits = fetched.filter(c => commitTime(c) >= window.startMs);
+        const skipped = fetched.filter(c => commitTime(c) < window.startMs);
+        if (skipped.length > 0) {
+          nextCursor.eip_since = new Date(Math.max(...skipped.map(commitTime))).toISOString();
+        }
+        if (commits.length > MAX_EIP_COMMIT_LOOKUPS) {
+          console.warn(`⚠️ ${repoFull}: ${commits.length} commits since ${since}, checking the oldest ${MAX_EIP_COMMIT_LOOKUPS} this run`);
+        }
+        // Lama → baru; cursor maju per commit sehingga sisa commit diproses run berikutnya
+        let changes = 0;
+        for (const c of commits.slice().reverse().slice(0, MAX_EIP_COMMIT_LOOKUPS)) {
+          const details = await fetcher.commitDetails(c.sha);
+          const committedAt = details.commit?.committer?.date || details.commit?.author?.date || new Date().toISOString();
+          for (const file of details.files || []) {
+            const proposal = parseProposalPath(file.filename);
+            const change = proposal && file.status !== 'removed' ? parseStatusChange(file.patch) : null;
+            if (!change) continue;
+
+            let fields = {};
+            try {
+              fields = parseFrontMatter(await fetcher.fileContent(file.filename, c.sha));
+            } catch (e) {
+              if (isAbortError(e)) throw e;
+              console.warn(`⚠️ front matter lookup failed for ${repoFull}/${file.filename}: ${e.message}`);
+            }
+
+            const label = `${proposal.standard}-${proposal.number}`;
+            changes++;
+            results.push(createSignal({
+              id: `github:${repoFull}:eip_status:${label}:${change.to.toLowerCase().replace(/\s+/g, '-')}`,
+              source: repoFull,
+              channel: 'github',
+              type: 'eip_status',
+              title: `${label}: ${fields.title || file.filename} (${change.from ? `${change.from} → ` : 'new '}${change.to})`,
+              body: fields.description || '',
+              url: `https://github.com/${repoFull}/blob/${c.sha}/${file.filename}`,
+              published_at: committedAt,
+              author: c.author?.login || c.commit?.author?.name || null,
+              tags: ['eip_status', proposal.standard.toLowerCase(), change.to.toLowerCase().replace(/\s+/g, '-')],
+              category,
+              priority,
+              meta: {
+                repo: repoFull,
+                standard: proposal.standard,
+                number: proposal.number,
+                title: fields.title || null,
+                from_status: change.from,
+                to_status: change.to,
+                proposal_type: fields.type || null,
+                proposal_category: fields.category || null,
+                last_call_deadline: fields['last-call-deadline'] || null,
+                file: file.filename,
+                sha: c.sha
+              },
+              raw: { sha: c.sha, filename: file.filename }
+            }));
+          }
+          nextCursor.eip_since = committedAt;
+        }
+        console.log(`✅ ${repoFull}: Found ${changes} proposal status changes in ${commits.length} commits`);
+      } catch (e) {
+        console.warn(`⚠️ EIP status check fail for ${repoFull}: ${e.message}`);
+        recordFailure('eip_status', e);
       }
-      console.log(`✅ ${repoFull}: Found ${commits.length} recent commits`);
-    } catch (e) {
-      console.warn(`⚠️ commits API fail for ${repoFull}: ${e.message}`);
     }
 
   } catch (error) {
     console.error(`❌ Error processing ${repoFull}:`, error.message);
   }
 
+  // Hanya bagian yang berhasil di-fetch yang menggeser cursor
+  if (JSON.stringify(nextCursor) !== JSON.stringify(cursor)) {
+    cursors?.set(repoFull, nextCursor);
+  }
+
   return results;
 }
 
+// Jumlah repo id yang diingat per org, dan repo per halaman listing
+const MAX_KNOWN_REPOS = 500;
+const ORG_REPOS_PER_PAGE = 50;
+
+// Repo baru di org yang dipantau (cursor "org:<name>" → { known_ids }).
+// Listing diurutkan created (repo baru) dan updated (repo lama yang baru dibuat public);
+// repo yang id-nya belum dikenal = baru. Run pertama hanya mengisi known_ids, kecuali
+// repo yang memang dibuat di dalam window.
+async function getOrgNewRepos(org, options = {}) {
+  const { window = resolveWindow(), signal, cursors } = options;
+  const cursorKey = `org:${org.org}`;
+  const cursor = cursors?.get(cursorKey);
+  const known = new Set(cursor?.known_ids || []);
+
+  const listings = await Promise.all(['created', 'updated'].map(sort =>
+    ghFetchJSON(`/orgs/${org.org}/repos?type=public&sort=${sort}&direction=desc&per_page=${ORG_REPOS_PER_PAGE}`, { signal })
+  ));
+  const repos = [...new Map(listings.flat().map(repo => [repo.id, repo])).values()];
+
+  const fresh = repos.filter(repo => !known.has(repo.id) && !repo.fork &&
+    (cursor || isInWindow(Date.parse(repo.created_at), window)));
+
+  // Urutan terbaru dulu supaya known_ids yang dipotong membuang repo paling lama
+  const ids = [...repos].sort((a, b) => Date.parse(b.created_at) - Date.parse(a.created_at)).map(repo => repo.id);
+  cursors?.set(cursorKey, { known_ids: [...new Set([...ids, ...known])].slice(0, MAX_KNOWN_REPOS) });
+
+  return fresh.map(repo => {
+    const createdMs = Date.parse(repo.created_at);
+    return createSignal({
+      id: `github:${repo.full_name}:new_repo`,
+      source: repo.full_name,
+      channel: 'github',
+      type: 'new_repo',
+      title: `New repo: ${repo.full_name}${repo.description ? ` — ${repo.description}` : ''}`,
+      body: repo.description || '',
+      url: repo.html_url,
+      // Repo lama yang baru dibuat public: waktu ditemukan, bukan created_at
+      published_at: isInWindow(createdMs, window) ? repo.created_at : new Date().toISOString(),
+      tags: ['new_repo', ...(repo.topics || [])],
+      category: org.category,
+      priority: org.priority,
+      meta: {
+        org: org.org,
+        repo: repo.full_name,
+        description: repo.description || null,
+        topics: repo.topics || [],
+        language: repo.language || null,
+        created_at: repo.created_at,
+        pushed_at: repo.pushed_at,
+        stars: repo.stargazers_count || 0
+      },
+      raw: { id: repo.id, name: repo.name }
+    });
+  });
+}
+
+// Satu signal sintetis per lonjakan aktivitas developer (lihat utils/dev_activity_baseline.mjs)
+function createSpikeSignal(source, stats) {
+  const now = new Date();
+  const prs = stats.merged_prs_24h > 0 ? `, ${stats.merged_prs_24h} merged PRs` : '';
+  return createSignal({
+    id: `github:${source.repo}:dev_activity_spike:${now.toISOString().slice(0, 13)}`,
+    source: source.repo,
+    channel: 'github',
+    type: 'dev_activity_spike',
+    title: `Dev activity spike: ${source.repo} — ${stats.commits_24h} commits${prs} in 24h (${stats.ratio}× baseline)`,
+    body: `Last 24h: ${stats.commits_24h} commits, ${stats.merged_prs_24h} merged PRs. ` +
+      `Median per day over the previous ${stats.history_days} days: ${stats.baseline_commits} commits, ${stats.baseline_merged_prs} merged PRs.`,
+    url: `https://github.com/${source.repo}/pulse`,
+    published_at: now.toISOString(),
+    tags: ['dev_activity_spike'],
+    category: source.category,
+    priority: source.priority,
+    meta: {
+      repo: source.repo,
+      commits_24h: stats.commits_24h,
+      merged_prs_24h: stats.merged_prs_24h,
+      baseline_commits: stats.baseline_commits,
+      baseline_merged_prs: stats.baseline_merged_prs,
+      baseline_days: stats.history_days,
+      ratio: stats.ratio
+    },
+    raw: {}
+  });
+}
+
 // Main function untuk mengumpulkan data GitHub
-async function collectGitHubSignals() {
+//   options.window:      collection window (default 24 jam)
+//   options.signal:      AbortSignal deadline — hasil parsial dikembalikan saat di-abort
+//   options.concurrency: jumlah repo yang diproses bersamaan
+//   options.cursors:     cursor per repo (null = ambil ulang semua dalam window)
+//   options.health:      health per repo; repo yang di-quarantine dilewati
+//   options.watchlist:   repo yang diambil (default config/github_watchlist.json)
+//   options.orgs:        org yang dipantau untuk repo baru (default config/github_watchlist.json)
+//   options.commitSignals: emit signal per commit selain spike detection (default false)
+//   options.spike:       override DEFAULT_SPIKE_RULES (utils/dev_activity_baseline.mjs)
+//   options.backfill:    range lampau → baseline dev activity tidak di-update dan spike tidak dicek
+//   options.issueTerms:  label/judul issue & PR yang dipantau untuk track "issues"
+//   options.mode:        "rest" (default) atau "graphql" (batch query, butuh GITHUB_TOKEN)
+//   options.graphqlBatchSize: repo per query GraphQL
+async function collectGitHubSignals(options = {}) {
+  const window = options.window || resolveWindow();
+  const watchlist = options.watchlist || loadWatchlist();
+  const orgs = options.orgs || loadWatchedOrgs();
+  const activity = options.backfill ? null : options.activity || new DevActivityBaseline({ rules: options.spike });
+  const commitSignals = Boolean(options.commitSignals);
+  const { signal, cursors, health } = options;
+  const concurrency = options.concurrency || DEFAULT_CONCURRENCY;
   console.log('🚀 Mengumpulkan sinyal dari GitHub API...');
   console.log('='.repeat(60));
+  console.log(`🕒 Window: ${window.label}`);
   
-  // Check rate limit
+  // Check rate limit (juga mengisi status quota awal untuk ghFetchJSON)
+  resetGitHubUsage();
   const rateLimit = await checkRateLimit();
+  console.log(`📋 Watchlist: ${watchlist.length} repos, ${orgs.length} orgs`);
+  console.log(`⚙️ Concurrency: ${concurrency} repos`);
   console.log(`📊 Rate limit: ${rateLimit.remaining}/${rateLimit.limit} remaining`);
   
-  if (rateLimit.remaining < 10) {
-    console.warn('⚠️ Low rate limit remaining, consider adding GITHUB_TOKEN');
+  if (rateLimit.remaining < watchlist.length * 3) {
+    const resetAt = rateLimit.reset ? ` until ${new Date(rateLimit.reset * 1000).toISOString()}` : '';
+    console.warn(`⚠️ Low rate limit remaining, requests will pause or fail${resetAt}; consider adding GITHUB_TOKEN`);
   }
   
   const results = [];
   const errors = [];
+  const keywordReport = createMatchReport();
   
-  for (const source of GITHUB_SOURCES) {
+  // Mode GraphQL: data semua repo diambil di depan; repo tanpa data GraphQL tetap memakai REST
+  let fetchers = new Map();
+  if (options.mode === 'graphql') {
+    if (process.env.GITHUB_TOKEN) {
+      console.log(`🧬 GraphQL mode: batches of ${options.graphqlBatchSize || 'default'} repos`);
+      const active = watchlist.filter(source => !health?.isQuarantined(source.repo));
+      fetchers = await prefetchWatchlistGraphQL(active, {
+        signal,
+        batchSize: options.graphqlBatchSize,
+        sinceFor: (source) => graphqlCommitsSince(cursors?.get(source.repo), window)
+      });
+    } else {
+      console.warn('⚠️ GraphQL mode requires GITHUB_TOKEN, using REST');
+    }
+  }
+  
+  await mapWithConcurrency(watchlist, concurrency, async (source) => {
+    if (health?.isQuarantined(source.repo)) {
+      console.log(`🚧 ${source.repo} is quarantined, skipping`);
+      return;
+    }
+    
+    const startedAt = Date.now();
     try {
       const [owner, repo] = source.repo.split('/');
-      const items = await getRepoSignals(owner, repo, source.category, source.priority);
+      const failures = [];
+      const items = await getRepoSignals(owner, repo, source.category, source.priority, {
+        window,
+        signal,
+        cursors,
+        failures,
+        track: source.track,
+        activity,
+        commitSignals,
+        issueTerms: options.issueTerms,
+        fetcher: fetchers.get(source.repo)
+      });
+      
+      // Repo dianggap gagal jika semua event yang di-track gagal (mis. repo pindah/404);
+      // tags yang hanya fallback dari releases tidak dihitung
+      const failedParts = new Set(failures.map(failure => failure.part));
+      const rateLimited = failures.some(failure => failure.rateLimited);
+      const trackedParts = source.track.filter(part => !(part === 'tags' && source.track.includes('releases')));
+      if (trackedParts.length > 0 && trackedParts.every(part => failedParts.has(part))) {
+        const message = failures.map(failure => `${failure.part}: ${failure.error}`).join(' | ');
+        errors.push({ repo: source.repo, error: message });
+        // Quota habis bukan kesalahan repo → tidak dihitung ke health
+        if (!rateLimited) health?.recordFailure(source.repo, { latencyMs: Date.now() - startedAt, error: new Error(message) });
+        return;
+      }
       
       // Filter items based on time and signal keywords
       const filteredItems = items.filter(item => {
-        // Keep recent items or tags (which don't have dates)
-        if (!isRecent24h(item.published_at) && item.type !== 'tag') {
+        // Keep items inside the window or tags (which don't have dates)
+        if (!isRecent(item.published_at, window) && item.type !== 'tag') {
           return false;
         }
         
+        // Perubahan status EIP selalu relevan, tanpa filter keyword
+        if (item.type === 'eip_status') return true;
+        
         // For early signal detection, keep items that match keywords
-        return looksEarlySignal(item);
+        const keywordMatch = matchEarlySignal(item);
+        keywordReport.record(keywordMatch);
+        if (keywordMatch.matched) item.meta.keyword_hits = keywordMatch.hits;
+        return keywordMatch.matched;
       });
       
+      // Lonjakan commit/PR merge dibanding baseline → satu signal, tanpa filter keyword.
+      // Fetch commit/PR yang gagal atau terpotong deadline akan terlihat seperti aktivitas turun: dilewati
+      const activityParts = ['commits', 'pulls'].filter(part => source.track.includes(part));
+      const activityFailed = activityParts.some(part => failedParts.has(part)) || signal?.aborted;
+      if (activity && activityParts.length > 0 && activityFailed) {
+        console.warn(`⚠️ ${source.repo}: activity fetch incomplete, spike check skipped`);
+      } else if (activity && activityParts.length > 0) {
+        const stats = activity.evaluate(source.repo);
+        if (stats.spike) {
+          console.log(`📈 ${source.repo}: dev activity spike (${stats.commits_24h} commits, ${stats.merged_prs_24h} PRs, ${stats.ratio}× baseline)`);
+          filteredItems.push(createSpikeSignal(source, stats));
+          activity.markSpike(source.repo);
+        }
+      }
+      
       console.log(`📈 ${source.repo}: ${filteredItems.length} signals from ${items.length} total items`);
+      if (!signal?.aborted && !rateLimited) {
+        health?.recordSuccess(source.repo, { latencyMs: Date.now() - startedAt, items: filteredItems.length });
+      }
       
       results.push(...filteredItems);
-      
-      // Rate limiting delay
-      await delay(RATE_LIMIT_DELAY);
-      
     } catch (error) {
       console.error(`❌ Error processing ${source.repo}:`, error.message);
       errors.push({
@@ -192,6 +714,40 @@ async function collectGitHubSignals() {
         error: error.message
       });
     }
+  }, { signal });
+  
+  // Repo baru di org yang dipantau, difilter dengan keyword set "github"
+  await mapWithConcurrency(orgs, concurrency, async (org) => {
+    const healthId = `org:${org.org}`;
+    if (health?.isQuarantined(healthId)) {
+      console.log(`🚧 ${healthId} is quarantined, skipping`);
+      return;
+    }
+    
+    const startedAt = Date.now();
+    try {
+      const newRepos = await getOrgNewRepos(org, { window, signal, cursors });
+      const matched = newRepos.filter(item => {
+        const keywordMatch = SIGNAL_KEYWORDS.match(`${item.meta.repo} ${item.meta.description || ''} ${item.meta.topics.join(' ')}`);
+        keywordReport.record(keywordMatch);
+        if (keywordMatch.matched) item.meta.keyword_hits = keywordMatch.hits;
+        return keywordMatch.matched;
+      });
+      console.log(`🆕 ${org.org}: ${matched.length} signals from ${newRepos.length} new repos`);
+      health?.recordSuccess(healthId, { latencyMs: Date.now() - startedAt, items: matched.length });
+      results.push(...matched);
+    } catch (error) {
+      if (isAbortError(error)) return;
+      console.error(`❌ Error processing org ${org.org}:`, error.message);
+      errors.push({ repo: healthId, error: error.message });
+      if (!isRateLimitError(error)) {
+        health?.recordFailure(healthId, { latencyMs: Date.now() - startedAt, error });
+      }
+    }
+  }, { signal });
+  
+  if (signal?.aborted) {
+    console.warn(`⏰ GitHub deadline reached, returning ${results.length} partial signals`);
   }
   
   // Sort berdasarkan priority dan waktu
@@ -202,6 +758,27 @@ async function collectGitHubSignals() {
     return new Date(b.published_at) - new Date(a.published_at); // Newer first
   });
   
+  activity?.save();
+  saveEtagCache();
+  const apiUsage = getGitHubUsage();
+  console.log(`\n📡 GitHub API: ${apiUsage.requests} requests (${apiUsage.cached} not modified), ${apiUsage.quota_used} quota used, ${apiUsage.remaining ?? '?'}/${apiUsage.limit ?? '?'} remaining`);
+  if (apiUsage.rate_limited > 0 || apiUsage.waits > 0) {
+    console.warn(`⏳ Rate limit: ${apiUsage.waits} pauses (${Math.round(apiUsage.wait_ms / 1000)}s), ${apiUsage.rate_limited} requests rejected`);
+  }
+  const spikes = results.filter(item => item.type === 'dev_activity_spike').length;
+  if (spikes > 0) {
+    console.log(`\n🚀 Dev activity spikes: ${spikes}`);
+  }
+  const eipChanges = results.filter(item => item.type === 'eip_status').length;
+  if (eipChanges > 0) {
+    console.log(`📜 EIP/ERC/RIP status changes: ${eipChanges}`);
+  }
+  
+  const topHits = keywordReport.topHits();
+  if (topHits.length > 0) {
+    console.log(`\n🔑 Keyword hits: ${topHits.map(([term, count]) => `${term}(${count})`).join(', ')}`);
+  }
+  
   console.log('\n📊 HASIL AKHIR:');
   console.log('='.repeat(60));
   console.log(`Total sinyal ditemukan: ${results.length}`);
@@ -210,10 +787,10 @@ async function collectGitHubSignals() {
   if (results.length > 0) {
     console.log('\n🔥 Sinyal terbaru:');
     results.slice(0, 15).forEach((item, i) => {
-      console.log(`\n${i+1}. [${item.category}] ${item.repo} (${item.type})`);
+      console.log(`\n${i+1}. [${item.category}] ${item.source} (${item.type})`);
       console.log(`   Judul: ${item.title}`);
-      console.log(`   Tag: ${item.tag || 'N/A'}`);
-      console.log(`   Author: ${item.author}`);
+      console.log(`   Tag: ${item.meta.tag || 'N/A'}`);
+      console.log(`   Author: ${item.author || 'unknown'}`);
       console.log(`   Waktu: ${new Date(item.published_at).toISOString()}`);
       console.log(`   URL: ${item.url}`);
       console.log(`   Priority: ${item.priority}`);
@@ -223,7 +800,7 @@ async function collectGitHubSignals() {
       console.log(`\n... dan ${results.length - 15} sinyal lainnya`);
     }
   } else {
-    console.log('❌ Tidak ada sinyal yang ditemukan dalam 24 jam terakhir');
+    console.log('❌ Tidak ada sinyal yang ditemukan dalam window collection');
   }
   
   if (errors.length > 0) {
@@ -236,19 +813,23 @@ async function collectGitHubSignals() {
   return {
     signals: results,
     errors,
+    keywordReport: keywordReport.toJSON(),
+    stats: { api: apiUsage },
     summary: {
       totalSignals: results.length,
       errorCount: errors.length,
-      sourcesProcessed: GITHUB_SOURCES.length - errors.length,
-      rateLimitRemaining: rateLimit.remaining
+      sourcesProcessed: watchlist.length - errors.length,
+      devActivitySpikes: spikes,
+      eipStatusChanges: eipChanges,
+      timedOut: Boolean(signal?.aborted),
+      rateLimitRemaining: apiUsage.remaining ?? rateLimit.remaining
     }
   };
 }
 
-// Save results to file with date structure
-function saveResults(results, baseDir = 'data') {
+// Save results to file with date structure (tanggal di timezone pipeline, sama dengan run context)
+function saveResults(results, baseDir = 'data', dateStr = zonedDate()) {
   const now = new Date();
-  const dateStr = now.toISOString().split('T')[0]; // YYYY-MM-DD
   const dir = `${baseDir}/${dateStr}`;
   
   // Create directory if it doesn't exist
@@ -308,4 +889,40 @@ if (process.argv[1] && process.argv[1].endsWith('Github_Source.mjs')) {
   }
 }
 
-export { collectGitHubSignals, GITHUB_SOURCES, SIGNAL_KEYWORDS, getRepoSignals };
\ No newline at end of file
+// Adapter untuk registry Phase 1 (sources/registry.mjs)
+const githubAdapter = {
+  name: 'github',
+  label: 'GitHub',
+  defaults: {
+    enabled: true,
+    concurrency: DEFAULT_CONCURRENCY,
+    deadlineMs: 3 * 60 * 1000,
+    watchlist: WATCHLIST_PATH,
+    mode: 'rest',
+    graphqlBatchSize: 10,
+    commitSignals: false,
+    issueTerms: DEFAULT_ISSUE_TERMS,
+    spike: {}
+  },
+  collect: ({ window, backfill, signal, config, cursors, health }) => collectGitHubSignals({
+    window,
+    backfill,
+    signal,
+    cursors,
+    health,
+    concurrency: config.concurrency,
+    watchlist: loadWatchlist(config.watchlist),
+    orgs: loadWatchedOrgs(config.watchlist),
+    commitSignals: config.commitSignals,
+    issueTerms: config.issueTerms,
+    spike: config.spike,
+    mode: config.mode,
+    graphqlBatchSize: config.graphqlBatchSize
+  }),
+  // Cursor per repo, repo baru per org ("org:<org>")
+  cursorKey: (signal) => (signal?.type === 'new_repo'
+    ? (signal.meta?.org ? `org:${signal.meta.org}` : null)
+    : signal?.meta?.repo || null)
+};
+
+export { collectGitHubSignals, GITHUB_SOURCES, SIGNAL_KEYWORDS, getRepoSignals, githubAdapter };
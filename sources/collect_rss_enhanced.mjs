@@ -4,7 +4,20 @@ import { readFileSync, writeFileSync, existsSync, mkdirSync } from "node:fs";
 import path from "node:path";
 import https from "https";
 import fetch from "node-fetch";
-import { cutoffMs24h, localISO, parseDateFlexible, isWithin } from "../utils/time_window.mjs";
+import { resolveWindow, isInWindow, parseDateFlexible, zonedDate } from "../utils/time_window.mjs";
+import { createSignal } from "../utils/signal_schema.mjs";
+import { getKeywordMatcher } from "../utils/keyword_matcher.mjs";
+import { createLimiter, abortable, sleep, withTimeout, createDeadline, anySignal, isAbortError } from "../utils/concurrency.mjs";
+import { FeedCache } from "../utils/feed_cache.mjs";
+
+// Concurrency default (bisa di-override lewat config/sources.json → rss.concurrency)
+const DEFAULT_CONCURRENCY = 6;
+// Timeout per request dan per feed (semua retry), override lewat rss.timeoutMs / rss.feedTimeoutMs
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_FEED_TIMEOUT_MS = 20000;
+
+// Watchdog untuk seluruh proses RSS: hanya membatalkan collector ini, bukan process
+const RSS_TIMEOUT_MS = 5 * 60 * 1000;
 
 // Header anti-403 untuk menghindari blocking
 const DEFAULT_HEADERS = {
@@ -23,10 +36,6 @@ const parser = new Parser({
   headers: DEFAULT_HEADERS
 });
 
-const cutoff = cutoffMs24h();
-const todayDir = path.join("data", new Date().toISOString().slice(0,10));
-if (!existsSync(todayDir)) mkdirSync(todayDir, { recursive: true });
-
 function pickTime(item) {
   return parseDateFlexible(item.isoDate || item.pubDate || item.published || item.updated);
 }
@@ -43,34 +52,57 @@ function makeGNewsSiteFeed(site, keywords = '') {
   return `https://news.google.com/rss/search?q=${encodeURIComponent(query)}&hl=en-US&gl=US&ceid=US:en`;
 }
 
-// Retry mechanism dengan exponential backoff dan XML sanitization
-async function fetchWithRetry(url, maxRetries = 2, timeout = 15000) {
+// Fetch + parse satu feed. Dengan entry cache (ETag/Last-Modified dari run sebelumnya) request
+// dikirim sebagai conditional GET; 304 berarti feed tidak berubah dan item diambil dari cache.
+// Mengembalikan { items, notModified, etag, lastModified, httpStatus, bytes }
+async function fetchFeed(url, timeout, signal, cached) {
+  // Feed yang bermasalah dengan XML/SSL perlu agent khusus + sanitization
+  const needsSanitize = url.includes('polygon.technology') || url.includes('bitcoinmagazine');
+  const headers = { ...DEFAULT_HEADERS };
+  if (cached?.etag) headers['If-None-Match'] = cached.etag;
+  if (cached?.last_modified) headers['If-Modified-Since'] = cached.last_modified;
+  
+  const response = await fetch(url, {
+    headers,
+    agent: needsSanitize ? httpsAgent : undefined,
+    timeout: timeout,
+    signal
+  });
+  
+  if (response.status === 304 && cached) {
+    return { items: cached.items, notModified: true, etag: cached.etag, lastModified: cached.last_modified, httpStatus: 304, bytes: 0 };
+  }
+  if (!response.ok) {
+    const error = new Error(`HTTP ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  
+  let xml = await abortable(response.text(), signal);
+  const bytes = Buffer.byteLength(xml);
+  if (needsSanitize) xml = sanitizeXml(xml);
+  const feed = await parser.parseString(xml);
+  
+  return {
+    items: feed.items || [],
+    notModified: false,
+    etag: response.headers.get('etag'),
+    lastModified: response.headers.get('last-modified'),
+    httpStatus: response.status,
+    bytes
+  };
+}
+
+// Retry mechanism dengan exponential backoff
+async function fetchWithRetry(url, maxRetries = 2, timeout = DEFAULT_TIMEOUT_MS, signal, cached) {
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
       console.log(`    🔄 Attempt ${attempt}/${maxRetries} for ${url.substring(0, 50)}...`);
-      
-      // Untuk feed yang bermasalah dengan XML, fetch manual dulu
-      if (url.includes('polygon.technology') || url.includes('bitcoinmagazine')) {
-        const response = await fetch(url, {
-          headers: DEFAULT_HEADERS,
-          agent: httpsAgent,
-          timeout: timeout
-        });
-        
-        if (!response.ok) throw new Error(`HTTP ${response.status}`);
-        
-        let xml = await response.text();
-        xml = sanitizeXml(xml);
-        
-        // Parse XML yang sudah disanitasi
-        return await parser.parseString(xml);
-      }
-      
-      return await parser.parseURL(url);
+      return await fetchFeed(url, timeout, signal, cached);
     } catch (error) {
       console.log(`    ⚠️ Attempt ${attempt} failed: ${error.message.substring(0, 100)}...`);
       
-      if (attempt === maxRetries) {
+      if (attempt === maxRetries || signal?.aborted) {
         console.log(`    ❌ All attempts failed for ${url.substring(0, 50)}...`);
         throw error;
       }
@@ -78,18 +110,19 @@ async function fetchWithRetry(url, maxRetries = 2, timeout = 15000) {
       // Exponential backoff: 1s, 2s
       const delay = attempt * 1000;
       console.log(`    ⏳ Waiting ${delay/1000}s before retry...`);
-      await new Promise(resolve => setTimeout(resolve, delay));
+      await sleep(delay, signal);
     }
   }
 }
 
 // HTML scraper untuk The Block
-async function scrapeTheBlock() {
+async function scrapeTheBlock(signal) {
   try {
     const response = await fetch('https://www.theblock.co/latest', {
       headers: DEFAULT_HEADERS,
       agent: httpsAgent,
-      timeout: 30000
+      timeout: 30000,
+      signal
     });
     
     if (!response.ok) throw new Error(`HTTP ${response.status}`);
@@ -107,14 +140,16 @@ async function scrapeTheBlock() {
       const title = match[2].trim();
       
       if (link.includes('/news/') && title.length > 10) {
-        items.push({
+        items.push(createSignal({
           source: "The Block",
-          title: title.substring(0, 140),
-          link: link.startsWith('http') ? link : `https://www.theblock.co${link}`,
-          time: localISO(new Date()),
           channel: "rss",
-          category: "news core"
-        });
+          type: "article",
+          title: title.substring(0, 140),
+          url: link.startsWith('http') ? link : `https://www.theblock.co${link}`,
+          published_at: new Date(),
+          category: "news core",
+          meta: { scraper: 'theblock' }
+        }));
         count++;
       }
     }
@@ -126,36 +161,41 @@ async function scrapeTheBlock() {
 }
 
 // CMC Recently Added via API endpoint (lebih stabil)
-async function scrapeCMCRecentlyAdded() {
+async function scrapeCMCRecentlyAdded(window, signal) {
   try {
     const url = 'https://api.coinmarketcap.com/data-api/v3/cryptocurrency/listing?start=1&limit=50&listing_status=recently_added&sort=date_added&sort_type=desc';
     
     const response = await fetch(url, {
       headers: DEFAULT_HEADERS,
       agent: httpsAgent,
-      timeout: 30000
+      timeout: 30000,
+      signal
     });
     
     if (!response.ok) throw new Error(`HTTP ${response.status}`);
     
     const json = await response.json();
     const items = [];
-    const nowMinus24h = cutoffMs24h(); // Use consistent cutoff from utils
     
-    const tokens24h = (json.data?.cryptoCurrencyList || []).filter(x => {
+    const tokensInWindow = (json.data?.cryptoCurrencyList || []).filter(x => {
       const ts = Date.parse(x.listingTime || x.dateAdded || x.firstSeen || '');
-      return ts && ts >= nowMinus24h;
+      return ts && isInWindow(ts, window);
     });
     
-    for (const token of tokens24h.slice(0, 10)) {
-      items.push({
+    for (const token of tokensInWindow.slice(0, 10)) {
+      items.push(createSignal({
+        id: `rss:cmc:${token.id || token.slug}`,
         source: "CoinMarketCap",
-        title: `New Token Listed: ${token.name} (${token.symbol})`,
-        link: `https://coinmarketcap.com/currencies/${(token.slug || '').toLowerCase()}/`,
-        time: localISO(new Date(token.listingTime || token.dateAdded)),
         channel: "rss",
-        category: "airdrops & events"
-      });
+        type: "listing",
+        title: `New Token Listed: ${token.name} (${token.symbol})`,
+        url: `https://coinmarketcap.com/currencies/${(token.slug || '').toLowerCase()}/`,
+        published_at: new Date(token.listingTime || token.dateAdded),
+        tags: ['listing', token.symbol],
+        category: "airdrops & events",
+        meta: { symbol: token.symbol, slug: token.slug },
+        raw: { id: token.id, name: token.name, symbol: token.symbol, slug: token.slug }
+      }));
     }
     
     return items;
@@ -164,152 +204,246 @@ async function scrapeCMCRecentlyAdded() {
   }
 }
 
-// Filter CoinTelegraph berdasarkan kategori
+// Filter CoinTelegraph berdasarkan topik (keyword set "cointelegraph" di keywords.mjs)
 function filterCoinTelegraph(items) {
-  return items.filter(item => {
-    const title = (item.title || '').toLowerCase();
-    const content = (item.contentSnippet || '').toLowerCase();
-    const text = `${title} ${content}`;
-    
-    // Filter untuk topik yang relevan
-    return /bitcoin|ethereum|defi|nft|dao|governance|airdrop|testnet|mainnet|upgrade|fork/.test(text);
-  });
+  const matcher = getKeywordMatcher('cointelegraph');
+  return items.filter(item => matcher.test(`${item.title || ''} ${item.contentSnippet || ''}`));
 }
 
-async function fetchRssBatch(list, label) {
-  let total = 0, in24h = 0, valid = 0;
+// Fetch satu kategori feed. `limit` adalah limiter bersama (createLimiter) sehingga
+// semua kategori berbagi batas concurrency yang sama. `cursors` menyimpan ETag/Last-Modified per feed,
+// `cache` item terakhir per feed (utils/feed_cache.mjs), `health` mencatat sukses/gagal per feed dan
+// melewati feed yang sedang di-quarantine. `feeds` diisi statistik fetch per feed (nama feed → stats).
+async function fetchRssBatch(list, label, window, {
+  limit = createLimiter(DEFAULT_CONCURRENCY),
+  signal,
+  cursors,
+  cache,
+  health,
+  feeds = {},
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  feedTimeoutMs = DEFAULT_FEED_TIMEOUT_MS
+} = {}) {
+  let total = 0, inWindow = 0, valid = 0, unchanged = 0, quarantined = 0;
   const out = [];
   const errors = [];
+  const category = label.toLowerCase();
 
   console.log(`📡 Processing ${list.length} ${label} sources...`);
 
-  for (let i = 0; i < list.length; i++) {
-    const s = list[i];
+  await Promise.all(list.map((s, i) => limit(async () => {
+    const stats = { category, status: 'ok', http_status: null, items: 0, in_window: 0, valid: 0, bytes: 0, latency_ms: 0 };
+    feeds[s.name] = stats;
+
+    if (health?.isQuarantined(s.name)) {
+      quarantined++;
+      stats.status = 'quarantined';
+      console.log(`  🚧 [${i+1}/${list.length}] ${s.name} is quarantined, skipping`);
+      return;
+    }
+    
+    const startedAt = Date.now();
     try {
       console.log(`  🔍 [${i+1}/${list.length}] Fetching ${s.name}...`);
       
-      // Timeout per source dengan Promise.race
-      const timeoutPromise = new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Source timeout')), 20000)
-      );
-      
-      const fetchPromise = fetchWithRetry(s.url);
-      const feed = await Promise.race([fetchPromise, timeoutPromise]);
+      // Conditional GET hanya jika cache masih menyimpan body untuk validator di cursor
+      const cached = cache?.match(s.url, cursors?.get(s.url)) || null;
+      const result = await withTimeout(fetchWithRetry(s.url, 2, timeoutMs, signal, cached), feedTimeoutMs, 'Source timeout');
+      stats.http_status = result.httpStatus;
+      stats.bytes = result.bytes;
       
-      let items = feed.items || [];
-      console.log(`  📊 ${s.name}: ${items.length} items found`);
+      let items = result.items;
+      if (result.notModified) {
+        unchanged++;
+        stats.status = 'not_modified';
+        cache?.touch(s.url);
+        console.log(`  💤 ${s.name}: not modified since last run, ${items.length} cached items`);
+      } else {
+        console.log(`  📊 ${s.name}: ${items.length} items found (${Math.round(result.bytes / 1024)} KB)`);
+        if (result.etag || result.lastModified) {
+          cache?.set(s.url, { etag: result.etag, lastModified: result.lastModified, items });
+          cursors?.set(s.url, { etag: result.etag || null, last_modified: result.lastModified || null });
+        }
+      }
       
       // Filter khusus untuk CoinTelegraph
       if (s.name === 'CoinTelegraph') {
         items = filterCoinTelegraph(items);
         console.log(`  🔍 ${s.name}: ${items.length} items after filtering`);
       }
+      stats.items = items.length;
       
       for (const it of items) {
         total++;
         const ts = pickTime(it);
-        if (!isWithin(ts, cutoff)) continue;
-        in24h++;
+        if (!isInWindow(ts, window)) continue;
+        inWindow++;
+        stats.in_window++;
 
         const link = (it.link || "").trim();
         const title = (it.title || "").trim();
 
         if (!link || !title) continue;
         valid++;
+        stats.valid++;
 
-        out.push({
+        out.push(createSignal({
           source: s.name,
-          title: title.substring(0, 140),
-          link,
-          time: localISO(new Date(ts)),
           channel: "rss",
-          category: label.toLowerCase()
-        });
+          type: "article",
+          title: title.substring(0, 140),
+          body: (it.contentSnippet || '').trim().substring(0, 2000),
+          url: link,
+          published_at: new Date(ts),
+          author: it.creator || it.author || null,
+          tags: (it.categories || []).filter(c => typeof c === 'string'),
+          category,
+          meta: { feed: s.url },
+          raw: { guid: it.guid || null }
+        }));
       }
       
-      console.log(`  ✅ ${s.name}: ${valid} valid signals from ${items.length} items`);
+      stats.latency_ms = Date.now() - startedAt;
+      health?.recordSuccess(s.name, { latencyMs: stats.latency_ms, items: stats.valid });
+      console.log(`  ✅ ${s.name}: ${stats.valid} valid signals from ${items.length} items`);
     } catch (e) {
+      stats.latency_ms = Date.now() - startedAt;
+      stats.http_status = e.status || null;
+      stats.error = e.message.substring(0, 200);
+      // Deadline collector bukan kesalahan feed
+      if (!signal?.aborted && !isAbortError(e)) {
+        health?.recordFailure(s.name, { latencyMs: stats.latency_ms, error: e });
+        stats.status = e.message === 'Source timeout' || e.type === 'request-timeout' ? 'timeout' : 'error';
+      } else {
+        stats.status = 'aborted';
+      }
       console.error(`  ❌ ${s.name}: ${e.message.substring(0, 100)}...`);
       errors.push({ source: s.name, error: e.message });
       
       // Skip source yang bermasalah dan lanjut ke source berikutnya
       console.log(`  ⏭️ Skipping ${s.name}, continuing with next source...`);
     }
-  }
+  })));
+
+  console.log(`📊 ${label} Summary: ${valid} valid, ${total} total, ${inWindow} in window, ${unchanged} not modified, ${quarantined} quarantined, ${errors.length} errors`);
+  return { signals: out, errors, feeds };
+}
 
-  console.log(`📊 ${label} Summary: ${valid} valid, ${total} total, ${in24h} in 24h, ${errors.length} errors`);
-  return out;
+// Total per status + jumlah item/bytes dari statistik per feed
+function summarizeFeedStats(feeds) {
+  const totals = { feeds: 0, ok: 0, not_modified: 0, error: 0, timeout: 0, aborted: 0, quarantined: 0, items: 0, in_window: 0, valid: 0, bytes: 0 };
+  for (const stats of Object.values(feeds)) {
+    totals.feeds++;
+    totals[stats.status]++;
+    totals.items += stats.items;
+    totals.in_window += stats.in_window;
+    totals.valid += stats.valid;
+    totals.bytes += stats.bytes;
+  }
+  return totals;
 }
 
-async function main() {
+//   options.window:      collection window (default 24 jam)
+//   options.date:        tanggal bucket run (runContext.date) untuk rss_enhanced_24h.jsonl, default hari ini
+//   options.signal:      AbortSignal deadline — hasil parsial dikembalikan saat di-abort
+//   options.concurrency: jumlah feed yang di-fetch bersamaan
+//   options.timeoutMs / options.feedTimeoutMs: timeout per request / per feed (termasuk retry)
+//   options.cursors:     ETag/Last-Modified per feed untuk conditional GET
+//   options.health:      health per feed (utils/source_health.mjs)
+// Mengembalikan { signals, errors, stats: { concurrency, totals, feeds } }
+async function main(options = {}) {
+  const window = options.window || resolveWindow();
+  const { cursors, health } = options;
+  const cache = new FeedCache();
+  const feeds = {};
+  const fetchOptions = {
+    cursors,
+    cache,
+    health,
+    feeds,
+    timeoutMs: options.timeoutMs || DEFAULT_TIMEOUT_MS,
+    feedTimeoutMs: options.feedTimeoutMs || DEFAULT_FEED_TIMEOUT_MS
+  };
+  // Scraper HTML hanya melihat halaman "latest", jadi tidak berguna untuk backfill
+  const isLiveWindow = window.endMs >= Date.now() - 60 * 60 * 1000;
   console.log('🚀 Starting RSS Enhanced Collection...');
   console.log('='.repeat(60));
+  console.log(`🕒 Window: ${window.label}`);
   
-  // Overall timeout untuk seluruh proses (5 menit)
-  const overallTimeout = setTimeout(() => {
-    console.log('\n⏰ Overall timeout reached (5 minutes), stopping collection...');
-    process.exit(0);
-  }, 5 * 60 * 1000);
+  // Overall timeout untuk seluruh proses (5 menit) — membatalkan collection RSS saja,
+  // feed yang sudah selesai tetap dikembalikan
+  const watchdog = createDeadline(RSS_TIMEOUT_MS);
+  const signal = anySignal(options.signal, watchdog.signal);
   
   const cfg = JSON.parse(readFileSync("config/sources_rss.json","utf8"));
+  const concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+  const limit = createLimiter(concurrency, { signal });
+  console.log(`⚙️ Concurrency: ${concurrency} feeds`);
+
+  const batches = [
+    { key: 'news_core', label: 'News Core', icon: '📰' },
+    { key: 'airdrops_events', label: 'Airdrops & Events', icon: '🎁' },
+    { key: 'foundation_ecosystem', label: 'Foundation & Ecosystem', icon: '🏛️' },
+    { key: 'governance_forums', label: 'Governance Forums', icon: '🗳️' }
+  ];
 
   const buckets = [];
   const allErrors = [];
+  const startTime = Date.now();
   
-  try {
-    console.log('\n📰 Processing News Core sources...');
-    const startTime = Date.now();
-    buckets.push(await fetchRssBatch(cfg.news_core, "News Core"));
-    console.log(`⏱️ News Core completed in ${Math.round((Date.now() - startTime) / 1000)}s`);
-  } catch (error) {
-    console.error('❌ News Core failed:', error.message);
-    allErrors.push({ category: 'news_core', error: error.message });
-  }
-  
-  try {
-    console.log('\n🎁 Processing Airdrops & Events sources...');
-    buckets.push(await fetchRssBatch(cfg.airdrops_events, "Airdrops & Events"));
-  } catch (error) {
-    console.error('❌ Airdrops & Events failed:', error.message);
-    allErrors.push({ category: 'airdrops_events', error: error.message });
-  }
-  
-  try {
-    console.log('\n🏛️ Processing Foundation & Ecosystem sources...');
-    buckets.push(await fetchRssBatch(cfg.foundation_ecosystem, "Foundation & Ecosystem"));
-  } catch (error) {
-    console.error('❌ Foundation & Ecosystem failed:', error.message);
-    allErrors.push({ category: 'foundation_ecosystem', error: error.message });
-  }
-  
-  try {
-    console.log('\n🗳️ Processing Governance Forums sources...');
-    buckets.push(await fetchRssBatch(cfg.governance_forums, "Governance Forums"));
-  } catch (error) {
-    console.error('❌ Governance Forums failed:', error.message);
-    allErrors.push({ category: 'governance_forums', error: error.message });
-  }
+  // Semua kategori feed + scrapers berjalan bersamaan, dibatasi oleh limiter bersama
+  const tasks = batches.map(async ({ key, label, icon }) => {
+    try {
+      console.log(`\n${icon} Processing ${label} sources...`);
+      const result = await fetchRssBatch(cfg[key] || [], label, window, { ...fetchOptions, limit, signal });
+      buckets.push(result.signals);
+      allErrors.push(...result.errors.map(err => ({ category: key, ...err })));
+      console.log(`⏱️ ${label} completed in ${Math.round((Date.now() - startTime) / 1000)}s`);
+    } catch (error) {
+      console.error(`❌ ${label} failed:`, error.message);
+      allErrors.push({ category: key, error: error.message });
+    }
+  });
 
   // Tambahkan HTML scrapers
-  try {
-    console.log('\n🔍 Scraping The Block...');
-    const theBlockResults = await scrapeTheBlock();
-    buckets.push(theBlockResults);
-    console.log(`✅ The Block: ${theBlockResults.length} signals`);
-  } catch (error) {
-    console.error('❌ The Block scraping failed:', error.message);
-    allErrors.push({ category: 'the_block', error: error.message });
+  if (isLiveWindow) {
+    tasks.push(limit(async () => {
+      try {
+        console.log('\n🔍 Scraping The Block...');
+        const theBlockResults = await scrapeTheBlock(signal);
+        buckets.push(theBlockResults);
+        console.log(`✅ The Block: ${theBlockResults.length} signals`);
+      } catch (error) {
+        console.error('❌ The Block scraping failed:', error.message);
+        allErrors.push({ category: 'the_block', error: error.message });
+      }
+    }));
+  } else {
+    console.log('\n⏭️ Skipping The Block scraper (historical window)');
   }
   
-  try {
-    console.log('\n📊 Scraping CMC Recently Added...');
-    const cmcResults = await scrapeCMCRecentlyAdded();
-    buckets.push(cmcResults);
-    console.log(`✅ CMC Recently Added: ${cmcResults.length} signals`);
-  } catch (error) {
-    console.error('❌ CMC scraping failed:', error.message);
-    allErrors.push({ category: 'cmc', error: error.message });
+  tasks.push(limit(async () => {
+    try {
+      console.log('\n📊 Scraping CMC Recently Added...');
+      const cmcResults = await scrapeCMCRecentlyAdded(window, signal);
+      buckets.push(cmcResults);
+      console.log(`✅ CMC Recently Added: ${cmcResults.length} signals`);
+    } catch (error) {
+      console.error('❌ CMC scraping failed:', error.message);
+      allErrors.push({ category: 'cmc', error: error.message });
+    }
+  }));
+
+  await Promise.all(tasks);
+  
+  if (watchdog.timedOut()) {
+    console.log(`\n⏰ Overall timeout reached (${RSS_TIMEOUT_MS / 60000} minutes), returning partial results...`);
+    allErrors.push({ category: 'overall', error: `RSS timeout reached (${RSS_TIMEOUT_MS / 60000} minutes), partial results returned` });
+  } else if (signal.aborted) {
+    console.warn(`⏰ RSS deadline reached, returning partial results`);
   }
+  watchdog.clear();
+  cache.save();
 
   // gabung + dedupe by link
   console.log('\n🔄 Merging and deduplicating signals...');
@@ -317,32 +451,34 @@ async function main() {
   const seen = new Set();
   for (const arr of buckets) {
     for (const x of arr) {
-      if (seen.has(x.link)) continue;
-      seen.add(x.link);
+      if (seen.has(x.url)) continue;
+      seen.add(x.url);
       combined.push(x);
     }
   }
 
+  const todayDir = path.join("data", options.date || zonedDate());
+  if (!existsSync(todayDir)) mkdirSync(todayDir, { recursive: true });
   const outPath = path.join(todayDir, "rss_enhanced_24h.jsonl");
   writeFileSync(outPath, combined.map(o => JSON.stringify(o)).join("\n") + "\n", "utf8");
   
   console.log('\n📊 FINAL RESULTS:');
   console.log('='.repeat(60));
-  console.log(`✅ Total signals collected: ${combined.length}`);
+  console.log(`✅ Total signals collected: ${combined.length} (${Math.round((Date.now() - startTime) / 1000)}s)`);
   console.log(`📁 Saved to: ${outPath}`);
+  const totals = summarizeFeedStats(feeds);
+  console.log(`📡 Feeds: ${totals.ok} fetched, ${totals.not_modified} not modified, ${totals.error + totals.timeout} failed, ${totals.quarantined} quarantined (${Math.round(totals.bytes / 1024)} KB downloaded)`);
   console.log(`❌ Errors encountered: ${allErrors.length}`);
   
   if (allErrors.length > 0) {
     console.log('\n⚠️ ERRORS:');
     allErrors.forEach(err => {
-      console.log(`  - ${err.category}: ${err.error}`);
+      console.log(`  - ${err.source || err.category}: ${err.error}`);
     });
   }
   
-  // Clear overall timeout
-  clearTimeout(overallTimeout);
-  
-  return combined; // Return signals data for daily_collect.mjs
+  // Return signals data for collect_data.mjs; stats → daily_summary.json source_stats.rss
+  return { signals: combined, errors: allErrors, stats: { concurrency, totals, feeds } };
 }
 
 if (process.argv[1] && process.argv[1].endsWith("collect_rss_enhanced.mjs")) {
@@ -357,4 +493,29 @@ if (process.argv[1] && process.argv[1].endsWith("collect_rss_enhanced.mjs")) {
     });
 }
 
-export { main as collectRssEnhanced };
+// Adapter untuk registry Phase 1 (sources/registry.mjs)
+const rssAdapter = {
+  name: 'rss',
+  label: 'RSS',
+  defaults: {
+    enabled: true,
+    concurrency: DEFAULT_CONCURRENCY,
+    timeoutMs: DEFAULT_TIMEOUT_MS,
+    feedTimeoutMs: DEFAULT_FEED_TIMEOUT_MS,
+    deadlineMs: 4 * 60 * 1000
+  },
+  collect: ({ window, date, signal, config, cursors, health }) => main({
+    window,
+    date,
+    signal,
+    cursors,
+    health,
+    concurrency: config.concurrency,
+    timeoutMs: config.timeoutMs,
+    feedTimeoutMs: config.feedTimeoutMs
+  }),
+  // Cursor per feed (ETag/Last-Modified)
+  cursorKey: (signal) => signal?.meta?.feed || null
+};
+
+export { main as collectRssEnhanced, rssAdapter };
@@ -0,0 +1,175 @@
+// sources/github_graphql.mjs
+// Mode GraphQL untuk collection GitHub (config/sources.json → github.mode = "graphql").
+//
+// Releases, tags (dengan tanggal commit asli), commit terbaru dan PR yang di-merge untuk
+// seluruh watchlist diambil dalam beberapa query (github.graphqlBatchSize repo per query), lalu
+// dikembalikan sebagai fetcher per repo dengan bentuk data REST yang sama. getRepoSignals
+// di Github_Source.mjs tetap membangun signal, cursor dan baseline, jadi output-nya identik.
+
+import { ghGraphQL } from '../utils/github_fetch.mjs';
+
+const DEFAULT_BATCH_SIZE = 10;
+const RELEASES_PER_REPO = 20;
+const TAGS_PER_REPO = 20;
+const COMMITS_PER_REPO = 100;
+const PULLS_PER_REPO = 20;
+
+const RELEASE_FIELDS = `
+  nodes { databaseId name tagName description url publishedAt createdAt isDraft isPrerelease author { login } }`;
+
+const TAG_FIELDS = `
+  nodes {
+    name
+    target {
+      oid
+      ... on Commit { committedDate }
+      ... on Tag { tagger { date } target { oid ... on Commit { committedDate } } }
+    }
+  }`;
+
+const COMMIT_FIELDS = `
+  nodes { oid message url committedDate authoredDate author { name user { login } } }`;
+
+const PULL_FIELDS = `
+  nodes { number title body url mergedAt author { login } labels(first: 10) { nodes { name } } mergeCommit { oid } }`;
+
+// Satu alias per repo; hanya event yang di-track yang diminta
+function repoQuery(alias, source, since) {
+  const [owner, name] = source.repo.split('/');
+  const parts = [];
+  if (source.track.includes('releases')) {
+    parts.push(`releases(first: ${RELEASES_PER_REPO}, orderBy: { field: CREATED_AT, direction: DESC }) {${RELEASE_FIELDS} }`);
+  }
+  if (source.track.includes('tags')) {
+    parts.push(`refs(refPrefix: "refs/tags/", first: ${TAGS_PER_REPO}, orderBy: { field: TAG_COMMIT_DATE, direction: DESC }) {${TAG_FIELDS} }`);
+  }
+  if (source.track.includes('commits')) {
+    parts.push(`defaultBranchRef { target { ... on Commit { history(first: ${COMMITS_PER_REPO}, since: ${JSON.stringify(since)}) {${COMMIT_FIELDS} pageInfo { hasNextPage } } } } }`);
+  }
+  if (source.track.includes('pulls')) {
+    parts.push(`pullRequests(states: MERGED, first: ${PULLS_PER_REPO}, orderBy: { field: UPDATED_AT, direction: DESC }) {${PULL_FIELDS} }`);
+  }
+  return `${alias}: repository(owner: ${JSON.stringify(owner)}, name: ${JSON.stringify(name)}) { nameWithOwner ${parts.join(' ')} }`;
+}
+
+// Node GraphQL → bentuk REST yang dipakai getRepoSignals
+function toRestRelease(node, repo) {
+  return {
+    id: node.databaseId,
+    name: node.name,
+    tag_name: node.tagName,
+    body: node.description || '',
+    html_url: node.url || `https://github.com/${repo}/releases/tag/${encodeURIComponent(node.tagName)}`,
+    published_at: node.publishedAt,
+    created_at: node.createdAt,
+    draft: node.isDraft,
+    prerelease: node.isPrerelease,
+    author: node.author ? { login: node.author.login } : null
+  };
+}
+
+function toRestTag(node) {
+  const target = node.target || {};
+  // Tag ringan menunjuk langsung ke commit; annotated tag ke objek Tag → commit
+  const commit = target.committedDate ? target : target.target || {};
+  return {
+    name: node.name,
+    commit: { sha: commit.oid || target.oid || null, date: commit.committedDate || target.tagger?.date || null }
+  };
+}
+
+function toRestCommit(node) {
+  return {
+    sha: node.oid,
+    html_url: node.url,
+    commit: {
+      message: node.message,
+      author: { name: node.author?.name || null, date: node.authoredDate },
+      committer: { date: node.committedDate }
+    },
+    author: node.author?.user ? { login: node.author.user.login } : null
+  };
+}
+
+function toRestPull(node) {
+  return {
+    number: node.number,
+    title: node.title,
+    body: node.body || '',
+    html_url: node.url,
+    merged_at: node.mergedAt,
+    user: node.author ? { login: node.author.login } : null,
+    labels: (node.labels?.nodes || []).map(label => ({ name: label.name })),
+    merge_commit_sha: node.mergeCommit?.oid || null
+  };
+}
+
+function releaseTime(release) {
+  return Date.parse(release.published_at || release.created_at || '') || 0;
+}
+
+// Fetcher dari hasil query; repo yang error melempar error yang sama di setiap bagian.
+// Method lain (issues, commitDetails, ...) tetap diambil lewat REST oleh getRepoSignals, begitu juga
+// commits jika history lebih dari satu halaman (REST mengambil semua halaman sampai since).
+function createGraphQLFetcher(repoData, error) {
+  const fail = () => Promise.reject(error);
+  if (error) {
+    return { releases: fail, tags: fail, commits: fail, pulls: fail };
+  }
+  const history = repoData.defaultBranchRef?.target?.history;
+  const fetcher = {
+    releases: async (sinceMs) => (repoData.releases?.nodes || [])
+      .map(node => toRestRelease(node, repoData.nameWithOwner))
+      .filter(release => !sinceMs || releaseTime(release) > sinceMs),
+    tags: async () => (repoData.refs?.nodes || []).map(toRestTag),
+    commits: async (since, until) => {
+      const untilMs = until ? Date.parse(until) : Infinity;
+      return (history?.nodes || [])
+        .map(toRestCommit)
+        .filter(commit => Date.parse(commit.commit.committer.date) <= untilMs);
+    },
+    pulls: async () => (repoData.pullRequests?.nodes || []).map(toRestPull)
+  };
+  if (history?.pageInfo?.hasNextPage) delete fetcher.commits;
+  return fetcher;
+}
+
+// Ambil seluruh watchlist lewat GraphQL → Map<repo, fetcher>
+//   options.sinceFor(source): ISO "since" commit per repo (window + cursor, dihitung Github_Source)
+//   options.signal:           AbortSignal deadline
+//   options.batchSize:        repo per query
+// Repo dari batch yang gagal total (mis. token tanpa akses) tidak ada di Map → caller fallback ke REST.
+export async function prefetchWatchlistGraphQL(watchlist, options = {}) {
+  const { sinceFor, signal } = options;
+  const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+  const fetchers = new Map();
+
+  for (let start = 0; start < watchlist.length; start += batchSize) {
+    const batch = watchlist.slice(start, start + batchSize);
+    const fields = batch.map((source, index) => repoQuery(`r${index}`, source, sinceFor(source)));
+    const query = `query {\n  rateLimit { cost remaining resetAt }\n  ${fields.join('\n  ')}\n}`;
+
+    let result;
+    try {
+      result = await ghGraphQL(query, {}, { signal });
+    } catch (error) {
+      console.warn(`⚠️ GraphQL batch ${Math.floor(start / batchSize) + 1} failed, using REST for ${batch.length} repos: ${error.message}`);
+      continue;
+    }
+    const { data, errors } = result;
+    batch.forEach((source, index) => {
+      const alias = `r${index}`;
+      const repoErrors = errors.filter(error => error.path?.[0] === alias);
+      const error = data[alias]
+        ? null
+        : new Error(`GitHub GraphQL: ${repoErrors.map(item => item.message).join('; ') || 'repository not found'}`);
+      if (data[alias] && repoErrors.length > 0) {
+        console.warn(`⚠️ GraphQL partial data for ${source.repo}: ${repoErrors.map(item => item.message).join('; ')}`);
+      }
+      fetchers.set(source.repo, createGraphQLFetcher(data[alias], error));
+    });
+    console.log(`✅ GraphQL batch ${Math.floor(start / batchSize) + 1}: ${batch.length} repos`);
+  }
+
+  return fetchers;
+}
@@ -0,0 +1,88 @@
+// sources/registry.mjs
+// Registry adapter sumber data untuk Phase 1.
+//
+// Setiap adapter mendeklarasikan:
+//   - name:     key unik (dipakai untuk stats & config/sources.json)
+//   - label:    nama yang ditampilkan di log
+//   - defaults: konfigurasi default adapter
+//   - collect(context): async, mengembalikan array signal atau { signals, errors, keywordReport?, stats? }
+//     context = { name, config, window, date, signal, cursors, health }; date = tanggal bucket run
+//     (YYYY-MM-DD di timezone pipeline, sama dengan run context)
+//     (stats: statistik bebas per source, mis. pemakaian API, masuk ke daily_summary.json → source_stats)
+//   - cursorKey(signal): opsional, key cursor (context.cursors) tempat signal berasal; cursor signal
+//     yang ditolak validasi tidak digeser. Tanpa cursorKey semua cursor source ikut ditahan.
+//
+// Enable/disable adapter cukup lewat config/sources.json, tanpa mengubah collect_data.mjs.
+
+import { readFileSync, existsSync } from 'node:fs';
+import { githubAdapter } from './Github_Source.mjs';
+import { telegramAdapter } from './telegram_simple.mjs';
+import { telegramBotAdapter } from './telegram_bot_reader.mjs';
+import { rssAdapter } from './collect_rss_enhanced.mjs';
+
+const SOURCE_CONFIG_PATH = 'config/sources.json';
+
+const adapters = new Map();
+
+export function registerSource(adapter) {
+  if (!adapter || !adapter.name || typeof adapter.collect !== 'function') {
+    throw new Error('Source adapter must declare a name and a collect(context) function');
+  }
+  if (adapters.has(adapter.name)) {
+    throw new Error(`Source adapter "${adapter.name}" is already registered`);
+  }
+  adapters.set(adapter.name, adapter);
+}
+
+export function getRegisteredSources() {
+  return [...adapters.values()];
+}
+
+export function loadSourceConfig(file = SOURCE_CONFIG_PATH) {
+  if (!existsSync(file)) return {};
+  try {
+    return JSON.parse(readFileSync(file, 'utf8'));
+  } catch (error) {
+    console.warn(`⚠️ Could not parse ${file}, using adapter defaults: ${error.message}`);
+    return {};
+  }
+}
+
+// Gabungkan defaults adapter dengan override dari config/sources.json
+export function resolveSourceConfig(adapter, sourceConfig = {}) {
+  return {
+    enabled: true,
+    ...(adapter.defaults || {}),
+    ...(sourceConfig[adapter.name] || {})
+  };
+}
+
+// Adapter yang aktif, dalam urutan registrasi
+export function getEnabledSources(sourceConfig = loadSourceConfig()) {
+  const unknown = Object.keys(sourceConfig).filter(name => !adapters.has(name));
+  if (unknown.length > 0) {
+    console.warn(`⚠️ Unknown sources in ${SOURCE_CONFIG_PATH}: ${unknown.join(', ')}`);
+  }
+
+  return getRegisteredSources()
+    .map(adapter => ({ adapter, config: resolveSourceConfig(adapter, sourceConfig) }))
+    .filter(({ config }) => config.enabled !== false);
+}
+
+// Collector lama bisa mengembalikan array atau { signals, errors, keywordReport?, stats? }
+export function normalizeCollectorResult(result) {
+  if (Array.isArray(result)) {
+    return { signals: result, errors: [], keywordReport: null, stats: null };
+  }
+  return {
+    signals: Array.isArray(result?.signals) ? result.signals : [],
+    errors: Array.isArray(result?.errors) ? result.errors : [],
+    keywordReport: result?.keywordReport || null,
+    stats: result?.stats || null
+  };
+}
+
+registerSource(githubAdapter);
+registerSource(telegramAdapter);
+registerSource(telegramBotAdapter);
+registerSource(rssAdapter);
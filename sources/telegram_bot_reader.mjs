@@ -0,0 +1,364 @@
+// sources/telegram_bot_reader.mjs
+// Collector Telegram lewat Bot API (TG_TOKEN) untuk channel/grup dengan reader: "bot" di
+// config/telegram_channels.json — alternatif tanpa user session (API_ID/API_HASH + StringSession).
+// Bot harus admin di channel, atau anggota grup dengan privacy mode off, supaya menerima pesan.
+//
+// Update diambil dengan getUpdates (tanpa menunggu); offset update berikutnya disimpan sebagai
+// cursor "updates", jadi update yang sudah diproses tidak diambil lagi. Telegram hanya menyimpan
+// update 24 jam: jalankan Phase 1 minimal sekali sehari. Bot dengan webhook aktif tidak bisa
+// getUpdates (409) — hapus dulu dengan deleteWebhook.
+//
+// Pesan Bot API dikonversi ke bentuk Api.Message GramJS (toGramMessage), jadi filter link/keyword,
+// parser dan signal sama persis dengan telegram_simple.mjs. Bot API tidak memberi views/forwards,
+// jadi signal dari reader ini tidak punya meta.engagement.
+
+import 'dotenv/config';
+import { resolveWindow, isInWindow } from '../utils/time_window.mjs';
+import { createMatchReport } from '../utils/keyword_matcher.mjs';
+import { abortable, sleep, isAbortError } from '../utils/concurrency.mjs';
+import { loadTelegramChannels, channelKey, CHANNELS_PATH } from '../utils/telegram_channels.mjs';
+import { topicId, GENERAL_TOPIC_ID } from './telegram_message_parser.mjs';
+import { evaluateMessage, createMessageSignal } from './telegram_simple.mjs';
+import { ADAPTER_HEALTH_ID } from '../utils/source_health.mjs';
+
+const BOT_API_URL = 'https://api.telegram.org';
+// getUpdates mengembalikan maksimal 100 update per request
+const UPDATES_PER_PAGE = 100;
+const MAX_PAGES = 20;
+const ALLOWED_UPDATES = ['channel_post', 'message'];
+const REQUEST_TIMEOUT_MS = 20 * 1000;
+
+class BotApiError extends Error {
+  constructor(method, body) {
+    super(`${method} failed: ${body.error_code || ''} ${body.description || 'unknown error'}`.trim());
+    this.name = 'BotApiError';
+    this.code = body.error_code || null;
+    this.retryAfter = body.parameters?.retry_after || null;
+  }
+}
+
+// Satu request Bot API; 429 ditunggu sekali sesuai retry_after
+async function botApi(token, method, params = {}, signal) {
+  for (let attempt = 0; ; attempt++) {
+    const response = await abortable(fetch(`${BOT_API_URL}/bot${token}/${method}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(params),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    }), signal);
+    const body = await response.json().catch(() => ({ ok: false, error_code: response.status, description: response.statusText }));
+    if (body.ok) return body.result;
+
+    const error = new BotApiError(method, body);
+    if (error.code === 429 && error.retryAfter && attempt === 0) {
+      console.warn(`⏳ Bot API rate limit, waiting ${error.retryAfter}s`);
+      await sleep(error.retryAfter * 1000, signal);
+      continue;
+    }
+    throw error;
+  }
+}
+
+// Entity Bot API (offset UTF-16, sama dengan string JS) → entity GramJS yang dibaca parser
+function toGramEntities(entities = []) {
+  return entities
+    .filter(entity => entity.type === 'url' || entity.type === 'text_link')
+    .map(entity => ({
+      className: entity.type === 'text_link' ? 'MessageEntityTextUrl' : 'MessageEntityUrl',
+      offset: entity.offset,
+      length: entity.length,
+      url: entity.url
+    }));
+}
+
+// forward_origin → fwdFrom GramJS (peer id tanpa prefix -100, seperti Api.PeerChannel)
+function toGramForward(origin) {
+  if (!origin) return null;
+  const chat = origin.chat || origin.sender_chat;
+  return {
+    fromId: chat ? { channelId: String(chat.id).replace(/^-100/, '') }
+      : origin.sender_user ? { userId: String(origin.sender_user.id) } : null,
+    fromName: origin.sender_user_name || null,
+    channelPost: origin.message_id || null,
+    postAuthor: origin.author_signature || null,
+    date: origin.date
+  };
+}
+
+// Pesan Bot API → objek dengan field Api.Message yang dipakai parser & createMessageSignal.
+// Di forum, reply_to_message pesan topic adalah pesan pembuka topic (bukan reply sungguhan).
+export function toGramMessage(message) {
+  const reply = message.reply_to_message;
+  const inTopic = Boolean(message.is_topic_message);
+  return {
+    id: message.message_id,
+    date: message.date,
+    message: message.text || message.caption || '',
+    entities: toGramEntities(message.entities || message.caption_entities),
+    media: message.link_preview_options?.url ? { webpage: { url: message.link_preview_options.url } } : null,
+    replyMarkup: message.reply_markup?.inline_keyboard
+      ? { rows: message.reply_markup.inline_keyboard.map(row => ({ buttons: row.map(button => ({ url: button.url, text: button.text })) })) }
+      : null,
+    fwdFrom: toGramForward(message.forward_origin),
+    replyTo: reply ? {
+      forumTopic: inTopic,
+      replyToMsgId: reply.message_id,
+      replyToTopId: inTopic && reply.message_id !== message.message_thread_id ? message.message_thread_id : undefined
+    } : null,
+    postAuthor: message.author_signature || null
+  };
+}
+
+// Judul/username channel asal forward langsung ada di forward_origin (tanpa getEntity)
+function resolveBotForward(forward, origin) {
+  const chat = origin?.chat || origin?.sender_chat;
+  if (!forward || !chat) return forward;
+  return {
+    ...forward,
+    from_title: chat.title || null,
+    from_username: chat.username || null,
+    url: chat.username && forward.channel_post ? `https://t.me/${chat.username}/${forward.channel_post}` : null
+  };
+}
+
+// Channel di config untuk chat update ini: lewat chat id atau @username
+function findChannel(chat, channelsByKey) {
+  return channelsByKey.get(channelKey(chat.id)) ||
+    (chat.username ? channelsByKey.get(channelKey(`@${chat.username}`)) : null) ||
+    null;
+}
+
+// Topic forum: id dari message_thread_id, judul dari pesan pembuka topic (forum_topic_created)
+function messageTopic(message, msg) {
+  if (!message.chat.is_forum) return null;
+  const id = topicId(msg);
+  const created = message.reply_to_message?.forum_topic_created;
+  return { id, title: created?.name || (id === GENERAL_TOPIC_ID ? 'General' : null) };
+}
+
+function topicSelected(channel, topic) {
+  if (!channel.topics || !topic) return true;
+  return channel.topics.some(wanted => (typeof wanted === 'number'
+    ? wanted === topic.id
+    : Boolean(topic.title) && wanted.toLowerCase() === topic.title.toLowerCase()));
+}
+
+// Admin: user di getChatAdministrators, atau pesan atas nama grup itu sendiri (admin anonim)
+function isFromAdmin(message, adminIds) {
+  if (message.sender_chat) return message.sender_chat.id === message.chat.id;
+  return Boolean(message.from) && adminIds.has(String(message.from.id));
+}
+
+//   options.window:   collection window (default 24 jam)
+//   options.signal:   AbortSignal deadline — hasil parsial dikembalikan, cursor offset tidak disimpan
+//                     (halaman yang sudah lewat tetap terkonfirmasi di Telegram, lihat bawah)
+//   options.cursors:  offset getUpdates (cursor "updates")
+//   options.health:   health endpoint getUpdates (key "updates") dan lookup admin per grup admins_only (key channel)
+//   options.channels: channel ter-normalisasi; hanya yang reader "bot" dipakai
+//   options.token:    bot token (default TG_TOKEN)
+// Mengembalikan { signals, errors, keywordReport, stats }; stats.channels sama dengan telegram_simple.mjs
+async function readTelegramBotUpdates(options = {}) {
+  const window = options.window || resolveWindow();
+  const channels = (options.channels || loadTelegramChannels()).filter(channel => channel.reader === 'bot');
+  const token = options.token || process.env.TG_TOKEN;
+  const { signal, cursors, health } = options;
+  console.log('🤖 Membaca update Telegram Bot API...');
+  console.log(`🕒 Window: ${window.label}`);
+
+  const active = channels.filter(channel => channel.enabled);
+  const channelsByKey = new Map(active.map(channel => [channel.key, channel]));
+  const channelStats = {};
+  for (const channel of channels) {
+    channelStats[channel.key] = {
+      label: channel.label,
+      enabled: channel.enabled,
+      status: channel.enabled ? 'no updates' : 'disabled',
+      messages: 0,
+      in_window: 0,
+      with_links: 0,
+      keyword_matches: 0,
+      signals: 0,
+      skipped_topic: 0,
+      skipped_non_admin: 0,
+      skipped_admin_unknown: 0
+    };
+  }
+  if (active.length === 0) {
+    console.log('ℹ️  Tidak ada channel dengan reader "bot" yang aktif');
+    return { signals: [], errors: [], stats: { channels: channelStats } };
+  }
+  if (!token) {
+    health?.recordFailure(ADAPTER_HEALTH_ID, { latencyMs: 0, error: new Error('TG_TOKEN not set') });
+    return { signals: [], errors: [{ error: 'TG_TOKEN not set' }], stats: { channels: channelStats } };
+  }
+
+  const results = [];
+  const errors = [];
+  const keywordReport = createMatchReport();
+  const adminCache = new Map();
+  const startOffset = cursors?.get('updates')?.offset || 0;
+  let offset = startOffset;
+  let updateCount = 0;
+  let ignored = 0;
+  const startedAt = Date.now();
+  let failed = false;
+
+  // Admin grup, sekali per run. Lookup yang gagal (selain abort) dicatat di stats & health channel dan
+  // hasilnya null: channel dianggap "admin unknown" dan pesannya dilewati, offset tetap maju
+  const loadAdmins = async (chat, channel) => {
+    if (!adminCache.has(chat.id)) {
+      const lookupStartedAt = Date.now();
+      try {
+        const admins = await botApi(token, 'getChatAdministrators', { chat_id: chat.id }, signal);
+        adminCache.set(chat.id, new Set(admins.map(member => String(member.user.id))));
+        health?.recordSuccess(channel.key, { latencyMs: Date.now() - lookupStartedAt, items: admins.length });
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+        const stats = channelStats[channel.key];
+        console.warn(`⚠️  ${stats.label || channel.key}: ${error.message}, skipping its messages`);
+        adminCache.set(chat.id, null);
+        stats.status = 'admin unknown';
+        stats.error = error.message;
+        errors.push({ channel: channel.key, error: error.message });
+        health?.recordFailure(channel.key, { latencyMs: Date.now() - lookupStartedAt, error });
+      }
+    }
+    return adminCache.get(chat.id);
+  };
+
+  // Satu update → signal (atau dilewati). Error selain abort menghentikan pembacaan
+  const handleUpdate = async (update) => {
+    const message = update.channel_post || update.message;
+    const channel = message?.chat ? findChannel(message.chat, channelsByKey) : null;
+    if (!channel) {
+      ignored++;
+      return;
+    }
+
+    const stats = channelStats[channel.key];
+    const label = channel.label || message.chat.title || `Channel ${channel.id}`;
+    stats.label = label;
+    if (stats.status !== 'admin unknown') stats.status = 'ok';
+    stats.type = message.chat.type === 'channel' ? 'channel' : message.chat.is_forum ? 'forum' : 'group';
+    stats.messages++;
+
+    const msg = toGramMessage(message);
+    const topic = messageTopic(message, msg);
+    if (!topicSelected(channel, topic)) {
+      stats.skipped_topic++;
+      return;
+    }
+    let fromAdmin = null;
+    if (channel.admins_only && message.chat.type !== 'channel') {
+      const adminIds = await loadAdmins(message.chat, channel);
+      if (!adminIds) {
+        stats.skipped_admin_unknown++;
+        return;
+      }
+      fromAdmin = isFromAdmin(message, adminIds);
+    }
+    if (fromAdmin === false) {
+      stats.skipped_non_admin++;
+      return;
+    }
+
+    if (!msg.message || !isInWindow(msg.date * 1000, window)) return;
+    stats.in_window++;
+
+    const evaluation = evaluateMessage(msg, channel);
+    if (evaluation.hasLinks) stats.with_links++;
+    if (!evaluation.keywordMatch) return;
+    keywordReport.record(evaluation.keywordMatch);
+    if (!evaluation.matched) return;
+    stats.keyword_matches++;
+
+    const { parsed, keywordMatch } = evaluation;
+    const reply = message.reply_to_message && parsed.replyToId
+      ? { message: message.reply_to_message.text || message.reply_to_message.caption || '', date: message.reply_to_message.date }
+      : null;
+    const item = createMessageSignal({
+      msg,
+      parsed,
+      keywordMatch,
+      channel,
+      entity: { id: message.chat.id, username: message.chat.username, title: message.chat.title },
+      label,
+      forward: resolveBotForward(parsed.forward, message.forward_origin),
+      reply,
+      chatType: stats.type,
+      placement: { topic, fromAdmin }
+    });
+    item.meta.reader = 'bot';
+    results.push(item);
+    stats.signals++;
+  };
+
+  try {
+    for (let page = 0; page < MAX_PAGES; page++) {
+      const updates = await botApi(token, 'getUpdates', {
+        offset: offset || undefined,
+        limit: UPDATES_PER_PAGE,
+        timeout: 0,
+        allowed_updates: ALLOWED_UPDATES
+      }, signal);
+      updateCount += updates.length;
+
+      for (const update of updates) {
+        await handleUpdate(update);
+        // Offset hanya maju setelah update selesai diproses
+        offset = update.update_id + 1;
+      }
+
+      if (updates.length < UPDATES_PER_PAGE) break;
+    }
+
+    health?.recordSuccess('updates', { latencyMs: Date.now() - startedAt, items: results.length });
+  } catch (error) {
+    if (isAbortError(error)) {
+      // getUpdates dengan offset halaman N+1 sudah mengonfirmasi halaman N ke Telegram; hanya sisa
+      // halaman yang sedang diproses yang dikirim ulang di run berikutnya
+      console.warn(`⏰ Deadline tercapai, ${results.length} signal parsial (sisa halaman terakhir dibaca ulang run berikutnya)`);
+      return { signals: results, errors, keywordReport: keywordReport.toJSON(), stats: { channels: channelStats, updates: updateCount, ignored } };
+    }
+    const hint = error.code === 409 ? ' (webhook aktif: hapus dengan deleteWebhook untuk memakai getUpdates)'
+      : error.code === 401 ? ' (TG_TOKEN tidak valid)' : '';
+    console.error(`❌ Bot API error: ${error.message}${hint}`);
+    errors.push({ error: `${error.message}${hint}` });
+    health?.recordFailure('updates', { latencyMs: Date.now() - startedAt, error });
+    // Token ditolak / webhook aktif: tidak ada update yang bisa dibaca sama sekali
+    if (error.code === 401 || error.code === 409) {
+      health?.recordFailure(ADAPTER_HEALTH_ID, { latencyMs: Date.now() - startedAt, error });
+    }
+    failed = true;
+  }
+
+  // Update yang sudah diproses tidak diambil lagi di run berikutnya. Setelah error cursor tidak
+  // disimpan: update yang gagal dan sisa halamannya belum dikonfirmasi, jadi dibaca ulang run berikutnya
+  if (!failed && offset > startOffset) {
+    cursors?.set('updates', { offset });
+  }
+
+  console.log(`📨 ${updateCount} updates, ${ignored} dari chat yang tidak dikonfigurasi`);
+  for (const [key, stats] of Object.entries(channelStats)) {
+    console.log(`   ${(stats.label || key).padEnd(32)} ${stats.status.padEnd(11)} ${stats.signals} signals / ${stats.in_window} in window`);
+  }
+  console.log(`📊 Total signal Bot API: ${results.length}`);
+
+  return { signals: results, errors, keywordReport: keywordReport.toJSON(), stats: { channels: channelStats, updates: updateCount, ignored } };
+}
+
+// Adapter untuk sources/registry.mjs (nonaktif default; aktifkan lewat config/sources.json → telegram_bot)
+const telegramBotAdapter = {
+  name: 'telegram_bot',
+  label: 'Telegram (Bot API)',
+  defaults: { enabled: false, deadlineMs: 60 * 1000, channels: CHANNELS_PATH },
+  collect: ({ window, signal, config, cursors, health }) => readTelegramBotUpdates({
+    window,
+    signal,
+    cursors,
+    health,
+    channels: loadTelegramChannels(config.channels)
+  })
+};
+
+export { readTelegramBotUpdates, telegramBotAdapter };
@@ -0,0 +1,193 @@
+// sources/telegram_message_parser.mjs
+// Parser pesan Telegram (objek Api.Message dari GramJS) untuk telegram_simple.mjs.
+//
+// Link diambil dari semua tempat, bukan hanya regex pertama di teks:
+//   text    → URL polos di teks/caption (caption media juga ada di msg.message)
+//   entity  → MessageEntityTextUrl (teks dengan link tersembunyi) dan MessageEntityUrl
+//   webpage → preview link (MessageMediaWebPage)
+//   button  → inline button URL (KeyboardButtonUrl)
+// Setiap link diklasifikasi (website, docs, github, x, telegram, discord) dan diurutkan
+// supaya link proyek menjadi url utama signal.
+
+const URL_PATTERN = /https?:\/\/[^\s<>"'`]+/gi;
+// Tanda baca penutup kalimat / markdown yang menempel di akhir URL
+const TRAILING_PUNCTUATION = /[)\].,;:!?*_'"»”’]+$/;
+
+const LINK_RULES = [
+  { type: 'x', hosts: ['twitter.com', 'x.com', 'mobile.twitter.com', 'fxtwitter.com', 'vxtwitter.com'] },
+  { type: 'telegram', hosts: ['t.me', 'telegram.me', 'telegram.dog'] },
+  { type: 'github', hosts: ['github.com', 'gist.github.com', 'raw.githubusercontent.com'] },
+  { type: 'discord', hosts: ['discord.gg', 'discord.com'] },
+  { type: 'docs', hosts: ['gitbook.io', 'notion.site', 'readthedocs.io', 'readme.io', 'mintlify.app'] }
+];
+
+// Urutan pemilihan url utama: link proyek dulu, link sosial/telegram terakhir
+const PRIMARY_ORDER = ['website', 'docs', 'github', 'x', 'discord', 'telegram'];
+
+const TITLE_MAX_LENGTH = 140;
+
+function cleanUrl(url) {
+  let cleaned = String(url || '').trim();
+  // Kurung penutup hanya dibuang jika tidak ada pasangan pembukanya di URL (mis. wiki/Foo_(bar))
+  while (TRAILING_PUNCTUATION.test(cleaned)) {
+    const last = cleaned[cleaned.length - 1];
+    if (last === ')' && (cleaned.match(/\(/g) || []).length >= (cleaned.match(/\)/g) || []).length) break;
+    cleaned = cleaned.slice(0, -1);
+  }
+  return cleaned;
+}
+
+// URL tanpa skema (mis. entity "example.com") dianggap https
+function normalizeUrl(url) {
+  const cleaned = cleanUrl(url);
+  if (!cleaned) return null;
+  const withScheme = /^[a-z][a-z0-9+.-]*:\/\//i.test(cleaned) ? cleaned : `https://${cleaned}`;
+  try {
+    const parsed = new URL(withScheme);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+    return parsed.toString();
+  } catch {
+    return null;
+  }
+}
+
+function hostMatches(hostname, host) {
+  return hostname === host || hostname.endsWith(`.${host}`);
+}
+
+export function classifyLink(url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return 'other';
+  }
+  for (const { type, hosts } of LINK_RULES) {
+    if (hosts.some(host => hostMatches(hostname, host))) return type;
+  }
+  if (/^(docs|doc|developers?|wiki)\./.test(hostname)) return 'docs';
+  return 'website';
+}
+
+function entityText(text, entity) {
+  return text.slice(entity.offset, entity.offset + entity.length);
+}
+
+// Semua link di pesan → [{ url, type, source, text? }], unik per URL, urutan kemunculan
+export function extractLinks(msg) {
+  const text = msg?.message || '';
+  const found = [];
+  const add = (rawUrl, source, label) => {
+    const url = normalizeUrl(rawUrl);
+    if (url) found.push({ url, type: classifyLink(url), source, ...(label ? { text: label } : {}) });
+  };
+
+  for (const entity of msg?.entities || []) {
+    if (entity.className === 'MessageEntityTextUrl') add(entity.url, 'entity', entityText(text, entity).trim());
+    else if (entity.className === 'MessageEntityUrl') add(entityText(text, entity), 'text');
+  }
+  for (const match of text.matchAll(URL_PATTERN)) add(match[0], 'text');
+
+  const webpage = msg?.media?.webpage;
+  if (webpage?.url) add(webpage.url, 'webpage', webpage.title || webpage.siteName || undefined);
+
+  for (const row of msg?.replyMarkup?.rows || []) {
+    for (const button of row.buttons || []) {
+      if (button.url) add(button.url, 'button', button.text);
+    }
+  }
+
+  const seen = new Set();
+  return found.filter(link => {
+    const key = link.url.replace(/\/$/, '').toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Url utama signal: link dengan tipe paling "proyek" (lihat PRIMARY_ORDER), lalu yang paling awal
+export function pickPrimaryLink(links) {
+  const rank = (link) => {
+    const index = PRIMARY_ORDER.indexOf(link.type);
+    return index === -1 ? PRIMARY_ORDER.length : index;
+  };
+  return [...links].sort((a, b) => rank(a) - rank(b))[0] || null;
+}
+
+function peerInfo(peer) {
+  if (!peer) return { id: null, type: null };
+  if (peer.channelId !== undefined) return { id: `-100${peer.channelId}`, type: 'channel' };
+  if (peer.chatId !== undefined) return { id: `-${peer.chatId}`, type: 'chat' };
+  if (peer.userId !== undefined) return { id: String(peer.userId), type: 'user' };
+  return { id: null, type: null };
+}
+
+// Asal pesan yang di-forward (msg.fwdFrom) atau null. Judul channel asal diisi collector
+// (butuh client.getEntity); from_name hanya ada untuk user yang menyembunyikan akunnya.
+export function forwardInfo(msg) {
+  const fwd = msg?.fwdFrom;
+  if (!fwd) return null;
+  const { id, type } = peerInfo(fwd.fromId);
+  return {
+    from_id: id,
+    from_type: type,
+    from_name: fwd.fromName || null,
+    channel_post: fwd.channelPost || null,
+    post_author: fwd.postAuthor || null,
+    date: fwd.date ? new Date(fwd.date * 1000).toISOString() : null
+  };
+}
+
+// Topic forum tempat pesan berada. Pesan di topic punya replyTo.forumTopic: replyToTopId jika pesan
+// juga membalas pesan lain, tanpa itu replyToMsgId adalah topic-nya. Tanpa forumTopic = topic General.
+export const GENERAL_TOPIC_ID = 1;
+
+export function topicId(msg) {
+  const reply = msg?.replyTo;
+  if (!reply?.forumTopic) return GENERAL_TOPIC_ID;
+  return reply.replyToTopId || reply.replyToMsgId || GENERAL_TOPIC_ID;
+}
+
+// Balasan langsung ke topic forum (tanpa replyToTopId) bukan reply ke pesan lain
+export function replyToId(msg) {
+  const reply = msg?.replyTo;
+  if (!reply?.replyToMsgId || (reply.forumTopic && !reply.replyToTopId)) return null;
+  return reply.replyToMsgId;
+}
+
+// Judul dari seluruh teks: tanpa URL, baris emoji/dekorasi dilewati, whitespace dirapikan,
+// dipotong di akhir kalimat (atau batas kata) sekitar TITLE_MAX_LENGTH karakter
+export function buildTitle(text, maxLength = TITLE_MAX_LENGTH) {
+  const lines = String(text || '')
+    .replace(URL_PATTERN, ' ')
+    .split('\n')
+    .map(line => line.replace(/[*_`~>#|]+/g, ' ').replace(/\s+/g, ' ').trim())
+    .filter(line => /[\p{L}\p{N}]/u.test(line));
+  const flat = lines.join(' — ').trim();
+  if (flat.length <= maxLength) return flat;
+
+  const head = flat.slice(0, maxLength);
+  const sentenceEnd = Math.max(head.lastIndexOf('. '), head.lastIndexOf('! '), head.lastIndexOf('? '), head.lastIndexOf(' — '));
+  if (sentenceEnd >= maxLength / 2) return head.slice(0, sentenceEnd + 1).replace(/\s+—$/, '').trim();
+  const wordEnd = head.lastIndexOf(' ');
+  return `${head.slice(0, wordEnd > maxLength / 2 ? wordEnd : maxLength).trim()}…`;
+}
+
+// Teks tanpa URL, untuk keyword matching (path link tidak ikut cocok)
+export function textWithoutUrls(text) {
+  return String(text || '').replace(URL_PATTERN, ' ');
+}
+
+export function parseTelegramMessage(msg) {
+  const text = msg?.message || '';
+  const links = extractLinks(msg);
+  return {
+    text,
+    title: buildTitle(text),
+    links,
+    primaryLink: pickPrimaryLink(links),
+    forward: forwardInfo(msg),
+    replyToId: replyToId(msg)
+  };
+}
@@ -1,24 +1,327 @@
 #!/usr/bin/env node
 
 import 'dotenv/config';
-import { TelegramClient } from 'telegram';
+import { TelegramClient, Api } from 'telegram';
 import { StringSession } from 'telegram/sessions/index.js';
-import { readFileSync, writeFileSync, existsSync, readdirSync } from 'node:fs';
-import { CRYPTO_KEYWORDS } from '../keywords.mjs';
-import { cutoffMs24h, localISO } from '../utils/time_window.mjs';
+import { writeFileSync, existsSync, readdirSync } from 'node:fs';
+import { getKeywordMatcher, createMatchReport } from '../utils/keyword_matcher.mjs';
+import { resolveWindow, isInWindow, localISO } from '../utils/time_window.mjs';
+import { createSignal } from '../utils/signal_schema.mjs';
+import { mapWithConcurrency, abortable, sleep, isAbortError, createDeadline, anySignal, withTimeout } from '../utils/concurrency.mjs';
+import { loadTelegramChannels, channelKey, CHANNELS_PATH } from '../utils/telegram_channels.mjs';
+import { parseTelegramMessage, textWithoutUrls, topicId, GENERAL_TOPIC_ID } from './telegram_message_parser.mjs';
+import { SESSION_PATH, readSession, checkSession, printSessionHelp } from '../utils/telegram_session.mjs';
+import { TelegramEngagementStore } from '../utils/telegram_engagement.mjs';
+import { ADAPTER_HEALTH_ID } from '../utils/source_health.mjs';
 
 const apiId = Number(process.env.API_ID);
 const apiHash = process.env.API_HASH;
-const SESSION_PATH = 'config/telegram.session';
 
-// Channel IDs yang akan dibaca
-const CHANNELS = [-1002294721332, -1001182619094, -1001364412069, -1001390962936, -1001146915409];
+// Concurrency default (bisa di-override lewat config/sources.json → telegram.concurrency)
+const DEFAULT_CONCURRENCY = 2;
 
-// Using imported CRYPTO_KEYWORDS from keywords.mjs
+// Pesan per request (satu halaman) dan maksimal halaman per channel/topic per run
+const MESSAGE_LIMIT = 1000;
+const MAX_MESSAGE_PAGES = 5;
 
-async function readTelegramMessages() {
+// Watchdog untuk seluruh proses Telegram: hanya membatalkan collector ini, bukan process
+const TELEGRAM_TIMEOUT_MS = 2 * 60 * 1000;
+
+// Topic forum yang diambil untuk mencocokkan judul di config (satu request)
+const MAX_FORUM_TOPICS = 100;
+
+// Client GramJS dengan session dari config/telegram.session (juga dipakai telegram_listener.mjs)
+function createTelegramClient(sessionStr = readSession() || '', overrides = {}) {
+  return new TelegramClient(new StringSession(sessionStr), apiId, apiHash, {
+    connectionRetries: 2,
+    timeout: 20000,
+    requestRetries: 2,
+    retryDelay: 1000,
+    useWSS: false, // Disable WebSocket untuk stability
+    floodSleepThreshold: 60,
+    ...overrides
+  });
+}
+
+// Link pesan di Telegram: channel publik lewat username, channel privat lewat t.me/c/<id tanpa -100>.
+// Pesan di topic forum (selain General) memakai link thread: .../<topic id>/<message id>
+function messageLink(entity, channel, messageId, topic = null) {
+  const thread = topic && topic.id !== GENERAL_TOPIC_ID ? `${topic.id}/` : '';
+  if (entity?.username) return `https://t.me/${entity.username}/${thread}${messageId}`;
+  return `https://t.me/c/${String(entity?.id ?? channel.id).replace(/^-100/, '')}/${thread}${messageId}`;
+}
+
+// Jenis chat + filter grup dari config (topics, admins_only):
+//   { type: 'channel'|'group'|'forum', chatId, topics: Map(id → judul), topicIds: Set|null, adminIds: Set|null, missingTopics }
+// Topic yang tidak ditemukan hanya di-warn; jika tidak ada satu pun yang cocok channel dianggap error.
+async function resolveChatScope(client, entity, channel, label, signal) {
+  const type = entity.forum ? 'forum' : (entity.megagroup || entity.className === 'Chat') ? 'group' : 'channel';
+  const scope = { type, chatId: entity.id?.toString(), topics: new Map(), topicIds: null, adminIds: null, missingTopics: [] };
+
+  if (type === 'forum') {
+    const result = await abortable(client.invoke(new Api.channels.GetForumTopics({
+      channel: entity, offsetDate: 0, offsetId: 0, offsetTopic: 0, limit: MAX_FORUM_TOPICS
+    })), signal);
+    // ForumTopicDeleted tidak punya judul
+    for (const topic of result.topics) if (topic.title) scope.topics.set(topic.id, topic.title);
+  }
+
+  if (channel.topics && type !== 'forum') {
+    console.warn(`⚠️  ${label}: topics configured but the chat has no forum topics, reading all messages`);
+  } else if (channel.topics) {
+    scope.topicIds = new Set();
+    for (const wanted of channel.topics) {
+      const id = typeof wanted === 'number'
+        ? (scope.topics.has(wanted) || wanted === GENERAL_TOPIC_ID ? wanted : null)
+        : [...scope.topics].find(([, title]) => title.toLowerCase() === wanted.toLowerCase())?.[0];
+      if (id) scope.topicIds.add(id);
+      else scope.missingTopics.push(wanted);
+    }
+    if (scope.missingTopics.length > 0) {
+      console.warn(`⚠️  ${label}: topic not found: ${scope.missingTopics.join(', ')}`);
+    }
+    if (scope.topicIds.size === 0) {
+      throw new Error(`none of the configured topics exist (${channel.topics.join(', ')})`);
+    }
+  }
+
+  if (channel.admins_only && type !== 'channel') {
+    scope.adminIds = entity.className === 'Chat'
+      ? await loadBasicGroupAdmins(client, entity, label, signal)
+      : new Set((await abortable(client.getParticipants(entity, { filter: new Api.ChannelParticipantsAdmins() }), signal))
+        .map(user => user.id.toString()));
+  }
+  return scope;
+}
+
+// Grup biasa (bukan supergroup) tidak mengenal filter ChannelParticipantsAdmins: admin dibaca dari
+// full_chat.participants (creator + admin). Daftar tersembunyi → kosong, semua pesan dilewati.
+async function loadBasicGroupAdmins(client, entity, label, signal) {
+  const full = await abortable(client.invoke(new Api.messages.GetFullChat({ chatId: entity.id })), signal);
+  const participants = full.fullChat?.participants?.participants;
+  if (!participants) {
+    console.warn(`⚠️  ${label}: member list not available, no admin messages can be matched`);
+    return new Set();
+  }
+  return new Set(participants
+    .filter(participant => participant.className === 'ChatParticipantCreator' || participant.className === 'ChatParticipantAdmin')
+    .map(participant => participant.userId.toString()));
+}
+
+// Pengirim admin: user di daftar admin, atau pesan atas nama grup itu sendiri (admin anonim).
+// Pesan tanpa pengirim hanya dianggap admin jika itu post channel (msg.post)
+function isFromAdmin(msg, scope) {
+  const from = msg.fromId;
+  if (!from) return Boolean(msg.post);
+  if (from.userId !== undefined) return scope.adminIds.has(from.userId.toString());
+  return from.channelId !== undefined && from.channelId.toString() === scope.chatId;
+}
+
+// Filter topic & admin satu pesan → { ok, reason: 'topic'|'admin'|null, topic: { id, title }|null, fromAdmin }
+function checkMessageScope(msg, scope) {
+  const id = scope.type === 'forum' ? topicId(msg) : null;
+  const topic = id ? { id, title: scope.topics.get(id) || null } : null;
+  if (scope.topicIds && !scope.topicIds.has(id)) return { ok: false, reason: 'topic', topic, fromAdmin: null };
+  const fromAdmin = scope.adminIds ? isFromAdmin(msg, scope) : null;
+  if (scope.adminIds && !fromAdmin) return { ok: false, reason: 'admin', topic, fromAdmin };
+  return { ok: true, reason: null, topic, fromAdmin };
+}
+
+// Forum dengan topic terpilih dibaca per thread (GetReplies); topic General tidak punya thread,
+// jadi jika General dipilih seluruh chat dibaca (replyTo undefined) lalu difilter checkMessageScope
+function messageThreads(scope) {
+  return !scope.topicIds || scope.topicIds.has(GENERAL_TOPIC_ID) ? [undefined] : [...scope.topicIds];
+}
+
+// Pesan setelah minId, dari yang terlama, per halaman MESSAGE_LIMIT (maks. MAX_MESSAGE_PAGES per thread)
+// → { messages (terbaru dulu), complete }. Jika batas halaman tercapai hanya pesan sampai id terbesar
+// yang terbaca bersambung dari minId di semua thread yang dikembalikan, jadi cursor yang digeser ke
+// pesan terbaru hasil ini tidak melompati pesan yang belum dibaca.
+async function fetchMessagesSince(client, entity, scope, minId, signal) {
+  const messages = [];
+  let readUntil = Infinity;
+  for (const replyTo of messageThreads(scope)) {
+    let offset = minId;
+    for (let page = 0; ; page++) {
+      if (page === MAX_MESSAGE_PAGES) {
+        readUntil = Math.min(readUntil, offset);
+        break;
+      }
+      const batch = await abortable(client.getMessages(entity, { limit: MESSAGE_LIMIT, minId: offset, reverse: true, replyTo }), signal);
+      const newer = batch.filter(msg => msg?.id > offset);
+      messages.push(...newer);
+      if (batch.length < MESSAGE_LIMIT || newer.length === 0) break;
+      offset = Math.max(...newer.map(msg => msg.id));
+    }
+  }
+  return {
+    messages: messages.filter(msg => msg.id <= readUntil).sort((a, b) => b.id - a.id),
+    complete: readUntil === Infinity
+  };
+}
+
+// Pesan dari offsetDate (default: terbaru) mundur per halaman MESSAGE_LIMIT sampai melewati startMs
+// (maks. MAX_MESSAGE_PAGES per thread) → { messages (terbaru dulu), complete }
+async function fetchMessagesBefore(client, entity, scope, { offsetDate, startMs }, signal) {
+  const messages = [];
+  let complete = true;
+  for (const replyTo of messageThreads(scope)) {
+    let offsetId = 0;
+    for (let page = 0; ; page++) {
+      if (page === MAX_MESSAGE_PAGES) {
+        complete = false;
+        break;
+      }
+      const batch = (await abortable(client.getMessages(entity, { limit: MESSAGE_LIMIT, offsetDate, offsetId, replyTo }), signal))
+        .filter(Boolean);
+      messages.push(...batch);
+      const oldest = batch[batch.length - 1];
+      if (batch.length < MESSAGE_LIMIT || !oldest?.date || oldest.date * 1000 < startMs) break;
+      offsetId = oldest.id;
+    }
+  }
+  return { messages: messages.sort((a, b) => b.id - a.id), complete };
+}
+
+// Maksimal pesan yang dibalas yang diambil terpisah per channel (reply context)
+const MAX_REPLY_LOOKUPS = 50;
+const REPLY_EXCERPT_LENGTH = 300;
+
+// Judul/username channel asal forward; di-cache per run, channel privat yang tidak bisa
+// diakses cukup dicatat id-nya
+async function resolveForward(client, msg, forward, cache, signal) {
+  const peer = msg.fwdFrom?.fromId;
+  if (!peer || forward.from_type === 'user') return forward;
+  if (!cache.has(forward.from_id)) {
+    cache.set(forward.from_id, abortable(client.getEntity(peer), signal).catch(error => {
+      if (isAbortError(error)) throw error;
+      return null;
+    }));
+  }
+  const entity = await cache.get(forward.from_id);
+  return {
+    ...forward,
+    from_title: entity?.title || null,
+    from_username: entity?.username || null,
+    url: entity?.username && forward.channel_post ? `https://t.me/${entity.username}/${forward.channel_post}` : null
+  };
+}
+
+// Pesan yang dibalas: dari batch yang sama jika ada, sisanya satu request getMessages({ ids })
+async function loadReplyMessages(client, entity, replyIds, messages, signal) {
+  const byId = new Map(messages.filter(Boolean).map(msg => [msg.id, msg]));
+  const missing = [...new Set(replyIds)].filter(id => !byId.has(id)).slice(0, MAX_REPLY_LOOKUPS);
+  if (missing.length > 0) {
+    try {
+      const fetched = await abortable(client.getMessages(entity, { ids: missing }), signal);
+      for (const msg of fetched) if (msg?.id) byId.set(msg.id, msg);
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      console.warn(`⚠️  Reply context lookup failed: ${error.message}`);
+    }
+  }
+  return byId;
+}
+
+// Filter satu pesan (window dicek caller): link wajib kecuali require_link: false, lalu keyword
+// set channel (teks tanpa URL, supaya path link tidak ikut cocok).
+// → { parsed, hasLinks, keywordMatch (null jika tidak dicek), matched }
+function evaluateMessage(msg, channel) {
+  const parsed = parseTelegramMessage(msg);
+  const hasLinks = parsed.links.length > 0;
+  if (!hasLinks && channel.require_link) {
+    return { parsed, hasLinks, keywordMatch: null, matched: false };
+  }
+  const keywordMatch = getKeywordMatcher(channel.keywords).match(textWithoutUrls(parsed.text));
+  return { parsed, hasLinks, keywordMatch, matched: keywordMatch.matched };
+}
+
+// Metric engagement (lihat utils/telegram_engagement.mjs) + virality vs baseline channel untuk meta signal
+function measureEngagement(engagement, channel, msg) {
+  const metrics = engagement.record(channel.key, msg, { signal: true });
+  if (!metrics) return null;
+  return {
+    ...metrics,
+    virality: engagement.virality(channel.key, metrics, new Date(msg.date * 1000).toISOString()),
+    measured_at: new Date().toISOString()
+  };
+}
+
+// Signal untuk pesan yang lolos evaluateMessage; forward, reply, engagement & placement (hasil
+// checkMessageScope) sudah di-resolve caller
+function createMessageSignal({ msg, parsed, keywordMatch, channel, entity, label, forward = null, reply = null, engagement = null, chatType = 'channel', placement = null }) {
+  const topic = placement?.topic || null;
+  const messageUrl = messageLink(entity, channel, msg.id, topic);
+  // Url utama: link proyek di pesan; tanpa link → link pesan itu sendiri
+  return createSignal({
+    id: `telegram:${channel.key}:${msg.id}`,
+    source: topic?.title ? `${label} / ${topic.title}` : label,
+    channel: 'telegram',
+    type: 'message',
+    title: parsed.title || parsed.primaryLink?.text || parsed.primaryLink?.url || label,
+    body: msg.message,
+    url: parsed.primaryLink?.url || messageUrl,
+    published_at: new Date(msg.date * 1000),
+    author: msg.postAuthor || null,
+    tags: [forward && 'forwarded', engagement?.virality?.level === 'viral' && 'viral', ...new Set(parsed.links.map(link => link.type))],
+    category: channel.category,
+    priority: channel.trust,
+    meta: {
+      chat_id: channel.id,
+      chat_type: chatType,
+      channel_label: label,
+      topic,
+      from_admin: placement?.fromAdmin ?? null,
+      message_id: msg.id,
+      message_url: messageUrl,
+      trust: channel.trust,
+      keyword_set: channel.keywords,
+      keyword_hits: keywordMatch.hits,
+      links: parsed.links,
+      forward,
+      reply_to: parsed.replyToId ? {
+        message_id: parsed.replyToId,
+        text: reply?.message ? reply.message.substring(0, REPLY_EXCERPT_LENGTH) : null,
+        date: reply?.date ? new Date(reply.date * 1000).toISOString() : null
+      } : null,
+      engagement
+    },
+    raw: { chatId: channel.id, messageId: msg.id }
+  });
+}
+
+//   options.window:      collection window (default 24 jam)
+//   options.signal:      AbortSignal deadline — hasil parsial dikembalikan saat di-abort
+//   options.concurrency: jumlah channel yang dibaca bersamaan
+//   options.cursors:     last message id per channel — hanya pesan yang lebih baru yang diambil
+//   options.health:      health per channel; channel yang di-quarantine dilewati
+//   options.channels:    channel ter-normalisasi (default config/telegram_channels.json, lihat utils/telegram_channels.mjs);
+//                        channel dengan reader "bot" dilewati
+//   options.engagement:  TelegramEngagementStore opsional; semua pesan dicatat, signal baru-baru ini di-refresh
+//   options.engagementRules: override DEFAULT_ENGAGEMENT_RULES (utils/telegram_engagement.mjs)
+//   options.backfill:    range lampau → engagement hanya dipakai untuk virality, tidak di-refresh atau disimpan
+// Mengembalikan { signals, errors, stats }; stats.channels berisi hitungan per channel yang dikonfigurasi.
+// Timeout dicatat sebagai error, bukan process.exit
+async function readTelegramMessages(options = {}) {
+  const window = options.window || resolveWindow();
+  // Channel dengan reader "bot" dibaca sources/telegram_bot_reader.mjs
+  const channels = (options.channels || loadTelegramChannels()).filter(channel => channel.reader !== 'bot');
+  const concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+  const engagement = options.engagement || new TelegramEngagementStore({ rules: options.engagementRules });
+  const { cursors, health, backfill = false } = options;
+  const runStartedAt = Date.now();
+  // Session/koneksi gagal = seluruh collector gagal → health adapter-level (node source_health.mjs)
+  const failRun = (message, cause) => {
+    health?.recordFailure(ADAPTER_HEALTH_ID, { latencyMs: Date.now() - runStartedAt, error: cause || new Error(message) });
+    return { signals: [], errors: [{ error: message }] };
+  };
   console.log('🚀 Membaca pesan Telegram...');
   console.log('='.repeat(50));
+  if (!channels.some(channel => channel.enabled)) {
+    console.log('ℹ️  Tidak ada channel user session yang aktif, dilewati');
+    return { signals: [], errors: [], stats: { channels: {} } };
+  }
+  console.log(`🕒 Window: ${window.label}`);
   
   // Debug environment and paths
   console.log(`🔑 API_ID: ${process.env.API_ID ? 'SET' : 'NOT SET'}`);
@@ -30,136 +333,255 @@ async function readTelegramMessages() {
     console.log(`📁 Config contents: ${readdirSync('config').join(', ')}`);
   }
   
-  if (!existsSync(SESSION_PATH)) {
-    console.error('❌ File session tidak ditemukan. Jalankan: node scripts/tg_login.mjs');
+  // File kosong = secret TELEGRAM_SESSION tidak di-set di workflow
+  const sessionContent = readSession();
+  if (!sessionContent) {
+    printSessionHelp(existsSync(SESSION_PATH) ? 'session file is empty' : 'session file not found');
     console.error(`📁 Looking for session at: ${SESSION_PATH}`);
     console.error(`📁 Current working directory: ${process.cwd()}`);
     console.error(`📁 Files in config/: ${existsSync('config') ? readdirSync('config').join(', ') : 'config directory does not exist'}`);
-    return [];
+    return failRun(`Session file not found or empty: ${SESSION_PATH}`);
   }
 
-  // Debug session file
-  const sessionContent = readFileSync(SESSION_PATH, 'utf8');
+  // Panjang saja: isi session = kredensial akun, jangan pernah dicetak ke log
   console.log(`📏 Session file size: ${sessionContent.length} characters`);
-  console.log(`🔤 First 50 chars: ${sessionContent.substring(0, 50)}...`);
-  console.log(`🔤 Last 50 chars: ...${sessionContent.substring(sessionContent.length - 50)}`);
 
-  // Overall timeout untuk seluruh proses Telegram (2 menit)
-  const telegramTimeout = setTimeout(() => {
-    console.log('\n⏰ Telegram timeout reached (2 minutes), stopping...');
-    process.exit(0);
-  }, 2 * 60 * 1000);
+  // Overall timeout untuk seluruh proses Telegram (2 menit) — membatalkan collection,
+  // pesan yang sudah terkumpul tetap dikembalikan
+  const watchdog = createDeadline(TELEGRAM_TIMEOUT_MS);
+  const signal = anySignal(options.signal, watchdog.signal);
+  const errors = [];
 
-  const sessionStr = readFileSync(SESSION_PATH, 'utf8');
-  const client = new TelegramClient(new StringSession(sessionStr), apiId, apiHash, {
-    connectionRetries: 2,
-    timeout: 20000,
-    requestRetries: 2,
-    retryDelay: 1000,
-    useWSS: false, // Disable WebSocket untuk stability
-    floodSleepThreshold: 60
-  });
+  let client;
+  try {
+    client = createTelegramClient(sessionContent);
+  } catch (error) {
+    printSessionHelp(`invalid session string: ${error.message}`);
+    watchdog.clear();
+    return failRun(`Invalid session: ${error.message}`, error);
+  }
 
   try {
-    await client.connect();
+    await abortable(client.connect(), signal);
     console.log('✅ Terhubung ke Telegram');
   } catch (error) {
     console.error('❌ Gagal terhubung ke Telegram:', error.message);
-    clearTimeout(telegramTimeout);
-    return [];
+    watchdog.clear();
+    return failRun(`Connection failed: ${error.message}`, error);
+  }
+
+  // Session di-revoke/expired → berhenti dengan instruksi login ulang, bukan error per channel
+  const session = await abortable(checkSession(client), signal).catch(error => ({ authorized: false, revoked: false, error: error.message }));
+  if (!session.authorized) {
+    if (session.revoked) printSessionHelp(session.error);
+    else console.error('❌ Gagal memeriksa Telegram session:', session.error);
+    watchdog.clear();
+    await withTimeout(client.disconnect(), 10000, 'disconnect timed out').catch(() => {});
+    return failRun(`Session ${session.revoked ? 'revoked' : 'check failed'}: ${session.error}`);
+  }
+  console.log(`👤 Logged in as ${session.user.username ? `@${session.user.username}` : session.user.name || session.user.id}`);
+  if (session.authorization?.ttl_days) {
+    console.log(`⏳ Session expires after ${session.authorization.ttl_days} days of inactivity`);
   }
 
   const results = [];
-  const cutoff = cutoffMs24h();
+  const keywordReport = createMatchReport();
+  // Statistik per channel yang dikonfigurasi → source_stats.telegram.channels di daily_summary.json
+  const channelStats = {};
+  // Untuk backfill, mulai membaca dari akhir window (bukan dari pesan terbaru)
+  const offsetDate = window.endMs < Date.now() - 60 * 1000 ? Math.floor(window.endMs / 1000) : undefined;
+  const forwardCache = new Map();
 
-  for (const channelId of CHANNELS) {
+  for (const channel of channels) {
+    channelStats[channel.key] = {
+      label: channel.label,
+      enabled: channel.enabled,
+      status: channel.enabled ? 'pending' : 'disabled',
+      messages: 0,
+      in_window: 0,
+      with_links: 0,
+      keyword_matches: 0,
+      signals: 0,
+      engagement_refreshed: 0,
+      skipped_topic: 0,
+      skipped_non_admin: 0
+    };
+  }
+  const activeChannels = channels.filter(channel => channel.enabled);
+  console.log(`📋 Channels: ${activeChannels.length} enabled of ${channels.length} configured`);
+
+  await mapWithConcurrency(activeChannels, concurrency, async (channel) => {
+    const stats = channelStats[channel.key];
+    if (health?.isQuarantined(channel.key)) {
+      console.log(`\n🚧 Channel ${channel.label || channel.id} is quarantined, skipping`);
+      stats.status = 'quarantined';
+      return;
+    }
+    
+    const startedAt = Date.now();
     try {
-      console.log(`\n📱 Membaca channel: ${channelId}`);
+      console.log(`\n📱 Membaca channel: ${channel.label || channel.id}`);
       
-      const entity = await client.getEntity(channelId);
+      const entity = await abortable(client.getEntity(channel.id), signal);
+      const label = channel.label || entity.title || `Channel ${channel.id}`;
+      stats.label = label;
+      const lastMessageId = cursors?.get(channel.key)?.last_message_id || 0;
+      if (lastMessageId) console.log(`📌 Mulai setelah message id ${lastMessageId}`);
       
-      // Safe getMessages dengan retry
+      const scope = await resolveChatScope(client, entity, channel, label, signal);
+      stats.type = scope.type;
+      if (scope.topicIds) {
+        stats.topics = [...scope.topicIds].map(id => scope.topics.get(id) || String(id));
+        console.log(`🧵 Topics: ${stats.topics.join(', ')}`);
+      }
+      if (scope.adminIds) console.log(`🛡️  Admins only (${scope.adminIds.size} admins)`);
+      
+      // Safe getMessages dengan retry. Dengan cursor: semua pesan setelahnya; tanpa cursor (run pertama,
+      // --full, backfill): mundur dari akhir window sampai awal window
       let messages = [];
+      let complete = true;
       for (let retry = 0; retry < 3; retry++) {
         try {
-          messages = await client.getMessages(entity, { limit: 1000 });
+          ({ messages, complete } = lastMessageId
+            ? await fetchMessagesSince(client, entity, scope, lastMessageId, signal)
+            : await fetchMessagesBefore(client, entity, scope, { offsetDate, startMs: window.startMs }, signal));
           break; // Success, exit retry loop
         } catch (e) {
-          if (retry === 2) throw e; // Final attempt failed
-          console.warn(`Retry ${retry + 1}/3 for channel ${channelId}:`, e.message);
-          await new Promise(r => setTimeout(r, 1000 * (retry + 1))); // Exponential backoff
+          if (retry === 2 || signal?.aborted) throw e; // Final attempt failed
+          console.warn(`Retry ${retry + 1}/3 for channel ${label}:`, e.message);
+          await sleep(1000 * (retry + 1), signal); // Exponential backoff
         }
       }
       
       console.log(`📊 Ditemukan ${messages.length} pesan`);
+      stats.messages = messages.length;
+      if (!complete) {
+        const pages = `${MAX_MESSAGE_PAGES * MESSAGE_LIMIT}+`;
+        console.warn(lastMessageId
+          ? `⚠️  ${pages} pesan baru sejak run terakhir, sisanya dibaca run berikutnya`
+          : `⚠️  ${pages} pesan dalam window, pesan yang lebih lama dilewati`);
+      }
       
-      let validMessages = 0;
-      let messagesIn24h = 0;
-      let messagesWithLinks = 0;
-      let messagesWithCryptoKeywords = 0;
-      
+      const candidates = [];
       for (const msg of messages) {
-        if (!msg?.message || !msg?.date) continue;
-        
-        const messageTime = msg.date * 1000;          // epoch ms (UTC)
-        if (messageTime < cutoff) continue;           // hanya 24 jam terakhir
-        messagesIn24h++;
-        
-        const text = msg.message.toLowerCase();
+        if (!msg?.date) continue;
         
-        // Cek apakah ada link
-        const hasLink = /https?:\/\/\S+/.test(text);
-        if (hasLink) messagesWithLinks++;
-        if (!hasLink) continue;
-        
-        // Cek apakah ada keyword crypto
-        const hasCryptoKeyword = CRYPTO_KEYWORDS.some(k => text.includes(k.toLowerCase()));
-        if (hasCryptoKeyword) messagesWithCryptoKeywords++;
-        if (!hasCryptoKeyword) continue;
+        // Topic & admin (grup); pesan di luar scope juga tidak masuk baseline engagement
+        const placement = checkMessageScope(msg, scope);
+        if (!placement.ok) {
+          stats[placement.reason === 'topic' ? 'skipped_topic' : 'skipped_non_admin']++;
+          continue;
+        }
+        // Semua pesan dalam scope (juga tanpa teks/link) masuk baseline engagement channel
+        engagement.record(channel.key, msg);
+        if (!msg.message) continue;
         
-        // Ambil link pertama
-        const linkMatch = msg.message.match(/https?:\/\/\S+/);
-        const link = linkMatch ? linkMatch[0] : null;
+        const messageTime = msg.date * 1000;          // epoch ms (UTC)
+        if (!isInWindow(messageTime, window)) continue; // hanya dalam window
+        stats.in_window++;
         
-        if (link) {
-          results.push({
-            source: entity.title || `Channel ${channelId}`,
-            title: msg.message.split('\n')[0].substring(0, 100),
-            link: link,
-            time: localISO(new Date(messageTime)),   // 👉 Swiss time
-            messageId: msg.id,
-            channel: 'telegram'
-          });
-          validMessages++;
+        // Semua link: teks, link tersembunyi, preview, inline button; lalu keyword set channel
+        const evaluation = evaluateMessage(msg, channel);
+        if (evaluation.hasLinks) stats.with_links++;
+        if (!evaluation.keywordMatch) continue;
+        keywordReport.record(evaluation.keywordMatch);
+        if (!evaluation.matched) continue;
+        stats.keyword_matches++;
+        candidates.push({ msg, placement, ...evaluation });
+      }
+      
+      const replyIds = candidates.map(({ parsed }) => parsed.replyToId).filter(Boolean);
+      const replies = replyIds.length > 0 ? await loadReplyMessages(client, entity, replyIds, messages, signal) : new Map();
+      
+      for (const { msg, placement, parsed, keywordMatch } of candidates) {
+        const forward = parsed.forward ? await resolveForward(client, msg, parsed.forward, forwardCache, signal) : null;
+        const reply = parsed.replyToId ? replies.get(parsed.replyToId) : null;
+        const metrics = measureEngagement(engagement, channel, msg);
+        results.push(createMessageSignal({
+          msg, parsed, keywordMatch, channel, entity, label, forward, reply,
+          engagement: metrics, chatType: scope.type, placement
+        }));
+        stats.signals++;
+      }
+      
+      // Refresh views/forwards/reactions signal dari run sebelumnya (pesan lama tidak ada di batch ini)
+      const fetchedIds = new Set(messages.map(msg => msg?.id));
+      const refreshIds = backfill ? [] : engagement.refreshCandidates(channel.key).filter(id => !fetchedIds.has(id));
+      if (refreshIds.length > 0) {
+        try {
+          const refreshed = await abortable(client.getMessages(entity, { ids: refreshIds }), signal);
+          for (const msg of refreshed) {
+            if (engagement.record(channel.key, msg)) stats.engagement_refreshed++;
+          }
+        } catch (error) {
+          if (isAbortError(error)) throw error;
+          console.warn(`⚠️  Engagement refresh failed for ${label}: ${error.message}`);
         }
       }
       
-      console.log(`📈 Statistik channel:`);
-      console.log(`   - Total pesan dalam 24h: ${messagesIn24h}`);
-      console.log(`   - Pesan dengan link: ${messagesWithLinks}`);
-      console.log(`   - Pesan dengan keyword crypto: ${messagesWithCryptoKeywords}`);
-      console.log(`   - Pesan valid (link + crypto): ${validMessages}`);
+      // Geser cursor setelah semua pesan channel ini diproses. Pesan di luar topic terpilih (atau dari
+      // non-admin) sengaja ikut dilewati: filter-nya sama di setiap run. Topic yang baru ditambahkan ke
+      // config hanya membaca pesan baru; pakai --full untuk membaca ulang window.
+      const newestId = Math.max(lastMessageId, ...messages.map(msg => msg?.id || 0));
+      if (newestId > lastMessageId) {
+        cursors?.set(channel.key, { last_message_id: newestId });
+      }
+      
+      stats.status = 'ok';
+      health?.recordSuccess(channel.key, { latencyMs: Date.now() - startedAt, items: stats.signals });
       
-      // Delay antar channel
-      await new Promise(resolve => setTimeout(resolve, 1000));
+      console.log(`📈 Statistik channel ${label}:`);
+      console.log(`   - Total pesan dalam window: ${stats.in_window}`);
+      console.log(`   - Pesan dengan link: ${stats.with_links}${channel.require_link ? '' : ' (link tidak wajib)'}`);
+      console.log(`   - Pesan dengan keyword (${channel.keywords}): ${stats.keyword_matches}`);
+      if (scope.topicIds || scope.adminIds) {
+        console.log(`   - Dilewati (topic lain / bukan admin): ${stats.skipped_topic} / ${stats.skipped_non_admin}`);
+      }
+      console.log(`   - Signal: ${stats.signals}`);
+      console.log(`   - Engagement di-refresh: ${stats.engagement_refreshed}`);
       
     } catch (error) {
+      if (isAbortError(error)) {
+        console.warn(`⏰ Deadline tercapai saat membaca channel ${channel.label || channel.id}`);
+        stats.status = 'timeout';
+        return;
+      }
       if (error.message.includes('TIMEOUT')) {
-        console.warn(`⚠️  Timeout membaca channel ${channelId}`);
+        console.warn(`⚠️  Timeout membaca channel ${channel.label || channel.id}`);
       } else {
-        console.error(`❌ Error membaca channel ${channelId}:`, error.message);
+        console.error(`❌ Error membaca channel ${channel.label || channel.id}:`, error.message);
       }
+      stats.status = 'error';
+      stats.error = error.message;
+      errors.push({ channel: channel.key, error: error.message });
+      health?.recordFailure(channel.key, { latencyMs: Date.now() - startedAt, error });
     }
+  }, { signal });
+  
+  if (watchdog.timedOut()) {
+    console.warn(`\n⏰ Telegram timeout reached (${TELEGRAM_TIMEOUT_MS / 60000} minutes), returning ${results.length} partial signals`);
+    errors.push({ error: `Telegram timeout reached (${TELEGRAM_TIMEOUT_MS / 60000} minutes), partial results returned` });
+  } else if (signal.aborted) {
+    console.warn(`⏰ Telegram deadline reached, returning ${results.length} partial signals`);
   }
+  watchdog.clear();
+  if (!backfill) engagement.save();
 
   try {
-    await client.disconnect();
+    await withTimeout(client.disconnect(), 10000, 'disconnect timed out');
   } catch (error) {
     console.warn('⚠️  TG disconnect warn:', error.message);
   }
   
-  // Clear timeout
-  clearTimeout(telegramTimeout);
+  const topHits = keywordReport.topHits();
+  if (topHits.length > 0) {
+    console.log(`\n🔑 Keyword hits: ${topHits.map(([term, count]) => `${term}(${count})`).join(', ')}`);
+  }
+  
+  console.log('\n📋 Per channel:');
+  for (const [key, stats] of Object.entries(channelStats)) {
+    console.log(`   ${(stats.label || key).padEnd(32)} ${stats.status.padEnd(11)} ${stats.signals} signals / ${stats.in_window} in window`);
+  }
   
   console.log('\n📊 HASIL AKHIR:');
   console.log('='.repeat(50));
@@ -169,17 +591,17 @@ async function readTelegramMessages() {
     results.forEach((msg, i) => {
       console.log(`\n${i+1}. [${msg.source}]`);
       console.log(`   Judul: ${msg.title}`);
-      console.log(`   Link: ${msg.link}`);
-      console.log(`   Waktu: ${msg.time}`);
+      console.log(`   Link: ${msg.url}`);
+      console.log(`   Waktu: ${localISO(new Date(msg.published_at))}`);   // 👉 Swiss time
     });
   } else {
     console.log('❌ Tidak ada pesan yang memenuhi kriteria:');
-    console.log('   - Harus ada link');
-    console.log('   - Harus ada keyword crypto');
-    console.log('   - Harus dalam 24 jam terakhir');
+    console.log('   - Harus ada link (kecuali require_link: false)');
+    console.log('   - Harus cocok dengan keyword set channel');
+    console.log('   - Harus dalam window collection');
   }
   
-  return results;
+  return { signals: results, errors, keywordReport: keywordReport.toJSON(), stats: { channels: channelStats } };
 }
 
 // Jalankan jika dipanggil langsung
@@ -195,4 +617,37 @@ if (process.argv[1] && process.argv[1].endsWith('telegram_simple.mjs')) {
     });
 }
 
-export { readTelegramMessages };
+// Adapter untuk registry Phase 1 (sources/registry.mjs)
+const telegramAdapter = {
+  name: 'telegram',
+  label: 'Telegram',
+  defaults: { enabled: true, concurrency: DEFAULT_CONCURRENCY, deadlineMs: 100 * 1000, channels: CHANNELS_PATH, engagement: {} },
+  collect: ({ window, backfill, signal, config, cursors, health }) => readTelegramMessages({
+    window,
+    backfill,
+    signal,
+    cursors,
+    health,
+    concurrency: config.concurrency,
+    channels: loadTelegramChannels(config.channels),
+    engagementRules: config.engagement
+  }),
+  // Cursor per channel (last_message_id)
+  cursorKey: (signal) => (signal?.meta?.chat_id != null ? channelKey(signal.meta.chat_id) : null)
+};
+
+export {
+  readTelegramMessages,
+  telegramAdapter,
+  createTelegramClient,
+  evaluateMessage,
+  createMessageSignal,
+  measureEngagement,
+  resolveChatScope,
+  checkMessageScope,
+  fetchMessagesSince,
+  resolveForward,
+  loadReplyMessages,
+  SESSION_PATH,
+  MESSAGE_LIMIT
+};
@@ -0,0 +1,382 @@
+#!/usr/bin/env node
+
+import 'dotenv/config';
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'node:fs';
+import path from 'node:path';
+import { utils } from 'telegram';
+import { NewMessage } from 'telegram/events/index.js';
+import {
+  createTelegramClient,
+  evaluateMessage,
+  createMessageSignal,
+  measureEngagement,
+  resolveChatScope,
+  checkMessageScope,
+  fetchMessagesSince,
+  resolveForward,
+  loadReplyMessages
+} from './sources/telegram_simple.mjs';
+import { readSession, checkSession, printSessionHelp } from './utils/telegram_session.mjs';
+import { loadTelegramChannels } from './utils/telegram_channels.mjs';
+import { SignalQueue } from './utils/signal_queue.mjs';
+import { TelegramEngagementStore } from './utils/telegram_engagement.mjs';
+import { loadPriorityRules, applyPriority } from './utils/priority_scoring.mjs';
+import { createRunContext, saveRunContext } from './utils/run_context.mjs';
+import { sleep, withTimeout } from './utils/concurrency.mjs';
+import { analyzeAllSignals } from './phase2/analyze_all_signals.mjs';
+import { publishEarlyDetection } from './phase3/publish_early_detection.mjs';
+
+/**
+ * Telegram Listener (real-time)
+ *
+ * Long-running mode for the channels in config/telegram_channels.json. New
+ * messages are filtered exactly like the Phase 1 collector (links + channel
+ * keyword set), written to a persistent queue (data/telegram_queue.json) and
+ * pushed through Phase 2 (Gemini) and Phase 3 (publish) in small batches.
+ *
+ * The connection is pinged every minute; on failure the client reconnects with
+ * backoff and catches up on every message since the last one seen per channel
+ * (data/telegram_listener_state.json), so nothing is lost during outages.
+ * A message that fails to process holds its channel at the previous message
+ * until a retry (on the next ping) gets past it.
+ *
+ * Usage:
+ *   node telegram_listener.mjs                       # listen, analyze & publish every 60s
+ *   node telegram_listener.mjs --flush-interval 30   # batch interval in seconds
+ *   node telegram_listener.mjs --no-publish          # analyze only (Phase 2)
+ *   node telegram_listener.mjs --retry-failed        # requeue signals that failed 5 times, then listen
+ *   node telegram_listener.mjs --drain               # process the queue once and exit (no connection)
+ */
+
+const STATE_FILE = path.join('data', 'telegram_listener_state.json');
+const DEFAULT_FLUSH_INTERVAL_SECONDS = 60;
+// Maksimal signal per batch Phase 2/3; batch penuh langsung diproses tanpa menunggu interval
+const MAX_BATCH_SIZE = 20;
+const CONNECT_TIMEOUT_MS = 60 * 1000;
+const PING_INTERVAL_MS = 60 * 1000;
+const PING_TIMEOUT_MS = 20 * 1000;
+// Lookup forward/reply per pesan; lewat batas ini signal tetap dibuat tanpa konteks tersebut
+const LOOKUP_TIMEOUT_MS = 15 * 1000;
+const MIN_RECONNECT_DELAY_MS = 5 * 1000;
+const MAX_RECONNECT_DELAY_MS = 5 * 60 * 1000;
+
+function getOption(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+// Last message id per channel yang sudah diproses listener (terpisah dari cursor Phase 1)
+function loadState() {
+  if (!existsSync(STATE_FILE)) return { channels: {} };
+  try {
+    const state = JSON.parse(readFileSync(STATE_FILE, 'utf8'));
+    return { channels: state.channels || {} };
+  } catch (error) {
+    console.log('⚠️  Error loading listener state, starting fresh');
+    return { channels: {} };
+  }
+}
+
+function saveState(state) {
+  const dir = path.dirname(STATE_FILE);
+  if (!existsSync(dir)) {
+    mkdirSync(dir, { recursive: true });
+  }
+  writeFileSync(STATE_FILE, JSON.stringify({ ...state, lastUpdated: new Date().toISOString() }, null, 2));
+}
+
+// Proses satu batch antrian lewat Phase 2 (+ Phase 3). Batch dihapus dari antrian hanya jika selesai.
+async function flushQueue(queue, { publish }) {
+  const batch = queue.pending(MAX_BATCH_SIZE);
+  if (batch.length === 0) return 0;
+  const ids = batch.map(signal => signal.id);
+  // Run listener tidak menggeser data/latest_run.json (pointer Phase 2/3 standalone & workflow)
+  const runContext = createRunContext({ updateLatest: false });
+  console.log(`\n📤 Processing ${batch.length} queued signals (run ${runContext.runId})`);
+
+  try {
+    runContext.ensureDirs();
+    writeFileSync(runContext.runFile('listener_signals.json'), JSON.stringify({ signals: batch }, null, 2));
+
+    const phase2 = await analyzeAllSignals({ runContext, signals: batch });
+    // Gemini gagal (bukan "semua sudah dianalisis") → batch dicoba lagi nanti
+    if (process.env.GEMINI_API_KEY1 && !phase2.gemini_analysis && phase2.incremental_stats?.unique_signals > 0) {
+      throw new Error('Gemini analysis returned no results');
+    }
+
+    const analyses = phase2.gemini_analysis?.new_analyses || [];
+    let published = null;
+    if (publish && analyses.length > 0) {
+      published = await publishEarlyDetection({ runContext, analyses, signals: batch });
+    }
+    saveRunContext(runContext, {
+      listener: { signals: batch.length, analyses: analyses.length, published: published?.publish?.sent ?? 0 }
+    });
+    queue.complete(ids);
+    console.log(`✅ Batch done: ${analyses.length} analyses, ${published?.publish?.sent ?? 0} published`);
+  } catch (error) {
+    console.error(`❌ Batch failed, keeping ${batch.length} signals queued: ${error.message}`);
+    queue.fail(ids, error);
+  }
+  return batch.length;
+}
+
+async function disconnect(client) {
+  if (!client) return;
+  try {
+    await withTimeout(client.disconnect(), 10000, 'disconnect timed out');
+  } catch (error) {
+    console.warn('⚠️  TG disconnect warn:', error.message);
+  }
+}
+
+async function runListener(options) {
+  // Channel reader "bot" tidak bisa didengarkan lewat user session
+  const channels = loadTelegramChannels().filter(channel => channel.enabled && channel.reader !== 'bot');
+  const queue = new SignalQueue();
+  const rules = loadPriorityRules();
+  const state = loadState();
+  const forwardCache = new Map();
+  // Hanya dibaca untuk baseline virality; file-nya di-update (dan di-refresh) oleh Phase 1
+  let engagement = new TelegramEngagementStore();
+  const stopController = new AbortController();
+  let stopping = false;
+  let revoked = false;
+  let client = null;
+  let flushing = null;
+  let processing = Promise.resolve();
+  // Channel yang pesannya gagal diproses → pesan live yang ditahan sampai catch up berhasil
+  const stalled = new Map();
+
+  if (channels.length === 0) {
+    console.error('❌ No enabled channels in config/telegram_channels.json');
+    return false;
+  }
+  if (!readSession()) {
+    printSessionHelp('session file not found or empty');
+    return false;
+  }
+
+  const flush = () => {
+    if (!flushing) {
+      flushing = flushQueue(queue, options).finally(() => { flushing = null; });
+    }
+    return flushing;
+  };
+
+  // Satu pesan → filter Phase 1 → antrian. Dipanggil berurutan (lihat `processing`).
+  // last_message_id hanya maju setelah pesan selesai; channel yang stalled hanya diproses lewat catch up.
+  const processMessage = async (target, msg, { retry = false } = {}) => {
+    if (!msg?.id) return;
+    const { channel, entity, label, scope } = target;
+    if (!retry && stalled.has(channel.key)) {
+      stalled.get(channel.key).push(msg);
+      return;
+    }
+    const lastId = state.channels[channel.key]?.last_message_id || 0;
+    if (msg.id <= lastId) return;
+
+    // Topic & admin (grup) dulu, lalu filter link + keyword
+    const placement = checkMessageScope(msg, scope);
+    const evaluation = placement.ok && msg.message ? evaluateMessage(msg, channel) : null;
+    if (evaluation?.matched) {
+      const { parsed, keywordMatch } = evaluation;
+      const forward = parsed.forward
+        ? await withTimeout(resolveForward(client, msg, parsed.forward, forwardCache), LOOKUP_TIMEOUT_MS, 'forward lookup timed out')
+          .catch(error => {
+            console.warn(`⚠️  [${label}] ${error.message}, keeping unresolved forward`);
+            return parsed.forward;
+          })
+        : null;
+      const replies = parsed.replyToId
+        ? await withTimeout(loadReplyMessages(client, entity, [parsed.replyToId], []), LOOKUP_TIMEOUT_MS, 'reply lookup timed out')
+          .catch(error => {
+            console.warn(`⚠️  [${label}] ${error.message}, skipping reply context`);
+            return new Map();
+          })
+        : new Map();
+      const signal = applyPriority(createMessageSignal({
+        msg, parsed, keywordMatch, channel, entity, label, forward,
+        reply: replies.get(parsed.replyToId),
+        engagement: measureEngagement(engagement, channel, msg),
+        chatType: scope.type,
+        placement
+      }), rules);
+      if (queue.enqueue(signal)) {
+        console.log(`📥 [${label}] ${signal.title} (priority ${signal.priority})`);
+      }
+    }
+
+    state.channels[channel.key] = { last_message_id: msg.id };
+    saveState(state);
+    if (queue.pending().length >= MAX_BATCH_SIZE) flush();
+  };
+
+  // → true jika pesan selesai diproses. Pesan yang gagal membuat channel-nya stalled: last_message_id
+  // tidak maju dan pesan berikutnya ditahan, lalu catch up berikutnya mengulang dari pesan tersebut.
+  const enqueueProcessing = (target, msg, options) => {
+    processing = processing
+      .then(() => processMessage(target, msg, options))
+      .then(() => true, (error) => {
+        console.error(`❌ Error processing message ${msg?.id} from ${target.label}, will retry:`, error.message);
+        if (!stalled.has(target.channel.key)) stalled.set(target.channel.key, []);
+        return false;
+      });
+    return processing;
+  };
+
+  // Pesan sejak last_message_id per channel (setelah start/reconnect, atau retry channel yang stalled);
+  // channel baru mulai dari pesan terbaru
+  const catchUp = async (targets) => {
+    for (const target of targets) {
+      const key = target.channel.key;
+      const lastId = state.channels[key]?.last_message_id;
+      if (!lastId) {
+        const [latest] = await client.getMessages(target.entity, { limit: 1 });
+        state.channels[key] = { last_message_id: latest?.id || 0 };
+        saveState(state);
+        continue;
+      }
+      // Per halaman (lihat fetchMessagesSince) sampai semua pesan terbaca atau ada pesan yang gagal
+      let ok = true;
+      let complete = false;
+      while (ok && !complete) {
+        const since = state.channels[key]?.last_message_id || lastId;
+        const page = await fetchMessagesSince(client, target.entity, target.scope, since);
+        complete = page.complete;
+        if (page.messages.length > 0) console.log(`🔄 ${target.label}: catching up ${page.messages.length} messages`);
+        for (const msg of [...page.messages].reverse()) {
+          ok = await enqueueProcessing(target, msg, { retry: true });
+          if (!ok) break;
+        }
+      }
+      // Berhasil → pesan live yang ditahan selama stalled diproses (yang sudah ter-catch up dilewati)
+      if (ok && stalled.has(key)) {
+        const held = stalled.get(key).sort((a, b) => a.id - b.id);
+        stalled.delete(key);
+        console.log(`✅ ${target.label}: caught up after failed message`);
+        for (const msg of held) enqueueProcessing(target, msg);
+      }
+    }
+  };
+
+  // Satu sesi koneksi: connect → resolve channel → catch up → dengarkan sampai ping gagal
+  const runSession = async () => {
+    client = createTelegramClient(undefined, { connectionRetries: 5, autoReconnect: true });
+    engagement = new TelegramEngagementStore();
+    await withTimeout(client.connect(), CONNECT_TIMEOUT_MS, 'connect timed out');
+    console.log('✅ Terhubung ke Telegram');
+
+    // Session di-revoke tidak bisa diperbaiki dengan reconnect
+    const session = await withTimeout(checkSession(client), PING_TIMEOUT_MS, 'session check timed out');
+    if (!session.authorized) {
+      if (!session.revoked) throw new Error(`session check failed: ${session.error}`);
+      printSessionHelp(session.error);
+      revoked = true;
+      stopping = true;
+      return;
+    }
+
+    const targets = new Map();
+    for (const channel of channels) {
+      try {
+        const entity = await client.getEntity(channel.id);
+        const label = channel.label || entity.title || `Channel ${channel.id}`;
+        const scope = await resolveChatScope(client, entity, channel, label);
+        targets.set(utils.getPeerId(entity), { channel, entity, label, scope });
+      } catch (error) {
+        console.error(`❌ Cannot resolve channel ${channel.label || channel.id}: ${error.message}`);
+      }
+    }
+    if (targets.size === 0) throw new Error('no channel could be resolved');
+
+    // Handler didaftarkan sebelum catch up: event selama catch up ditahan lalu diproses setelahnya,
+    // jadi pesan yang masuk di antaranya tidak terlewat (yang sudah diproses dilewati lewat last_message_id)
+    let buffered = [];
+    client.addEventHandler((event) => {
+      const target = targets.get(utils.getPeerId(event.message.peerId));
+      if (!target) return;
+      if (buffered) buffered.push({ target, msg: event.message });
+      else enqueueProcessing(target, event.message);
+    }, new NewMessage({ chats: [...targets.values()].map(target => target.entity) }));
+    await catchUp(targets.values());
+    const held = buffered.sort((a, b) => a.msg.id - b.msg.id);
+    buffered = null;
+    for (const { target, msg } of held) enqueueProcessing(target, msg);
+    console.log(`👂 Listening to ${targets.size} channels (queue: ${queue.getStats().pending} pending)`);
+
+    reconnectDelay = MIN_RECONNECT_DELAY_MS;
+    while (!stopping) {
+      await sleep(PING_INTERVAL_MS, stopController.signal).catch(() => {});
+      if (stopping) break;
+      await withTimeout(client.getMe(), PING_TIMEOUT_MS, 'ping timed out');
+      if (stalled.size > 0) {
+        await catchUp([...targets.values()].filter(target => stalled.has(target.channel.key)));
+      }
+    }
+  };
+
+  const shutdown = async (reason) => {
+    if (stopping) return;
+    stopping = true;
+    console.log(`\n🛑 ${reason}, stopping listener...`);
+    stopController.abort();
+  };
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+  const flushTimer = setInterval(flush, options.flushIntervalMs);
+  console.log(`🚀 Telegram listener: ${channels.length} channels, batch every ${options.flushIntervalMs / 1000}s${options.publish ? '' : ' (no publish)'}`);
+
+  let reconnectDelay = MIN_RECONNECT_DELAY_MS;
+  while (!stopping) {
+    try {
+      await runSession();
+    } catch (error) {
+      if (!stopping) console.warn(`⚠️  Telegram connection lost: ${error.message}`);
+    }
+    await disconnect(client);
+    if (stopping) break;
+    console.log(`🔁 Reconnecting in ${Math.round(reconnectDelay / 1000)}s...`);
+    await sleep(reconnectDelay, stopController.signal).catch(() => {});
+    reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY_MS);
+  }
+
+  // Selesaikan pesan & batch yang sedang berjalan; sisa antrian diproses saat start berikutnya
+  clearInterval(flushTimer);
+  await processing;
+  await flushing;
+  saveState(state);
+  const stats = queue.getStats();
+  console.log(`👋 Listener stopped (queue: ${stats.pending} pending, ${stats.failed} failed)`);
+  return !revoked;
+}
+
+// Proses seluruh antrian sekali tanpa koneksi Telegram
+async function drainQueue(options) {
+  const queue = new SignalQueue();
+  console.log(`📤 Draining queue: ${queue.getStats().pending} pending`);
+  while (queue.pending().length > 0) {
+    const before = queue.getStats().pending;
+    await flushQueue(queue, options);
+    // Batch yang gagal tetap di antrian; berhenti supaya tidak mengulang terus-menerus
+    if (queue.getStats().pending >= before) break;
+  }
+  const stats = queue.getStats();
+  console.log(`📊 Queue: ${stats.pending} pending, ${stats.failed} failed`);
+  return stats.pending === 0;
+}
+
+const args = process.argv.slice(2);
+const options = {
+  flushIntervalMs: (Number(getOption(args, '--flush-interval')) || DEFAULT_FLUSH_INTERVAL_SECONDS) * 1000,
+  publish: !args.includes('--no-publish')
+};
+
+if (args.includes('--retry-failed')) {
+  const count = new SignalQueue().retryFailed();
+  console.log(`🔁 Requeued ${count} failed signals`);
+}
+
+const ok = args.includes('--drain') ? await drainQueue(options) : await runListener(options);
+process.exit(ok ? 0 : 1);
@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+
+import 'dotenv/config';
+import readline from 'node:readline';
+import { Writable } from 'node:stream';
+import { TelegramClient } from 'telegram';
+import { StringSession } from 'telegram/sessions/index.js';
+import { SESSION_PATH, readSession, saveSession, checkSession, printSessionHelp } from './utils/telegram_session.mjs';
+import { withTimeout } from './utils/concurrency.mjs';
+
+/**
+ * Telegram Login
+ *
+ * Creates the GramJS StringSession used by Phase 1 and telegram_listener.mjs:
+ * phone number → login code → 2FA password (if enabled), saved to
+ * config/telegram.session. An existing session is checked first (authorized
+ * user, inactivity expiry) and kept if it still works.
+ *
+ * Needs API_ID and API_HASH (https://my.telegram.org) in .env. For GitHub
+ * Actions, copy the saved session into the TELEGRAM_SESSION secret.
+ *
+ * Usage:
+ *   node tg_login.mjs            # check existing session, login if missing or revoked
+ *   node tg_login.mjs --check    # only check the session (exit 1 if invalid)
+ *   node tg_login.mjs --force    # login again even if the session still works
+ *   TG_PHONE=+628123456789 node tg_login.mjs   # skip the phone number prompt
+ */
+
+const CONNECT_TIMEOUT_MS = 60 * 1000;
+const RETRYABLE_LOGIN_ERRORS = ['PHONE_NUMBER_INVALID', 'PHONE_CODE_INVALID', 'PHONE_CODE_EMPTY', 'PASSWORD_HASH_INVALID', 'Code is empty'];
+
+// Input dari terminal; hidden = tidak di-echo (password 2FA)
+function ask(question, { hidden = false } = {}) {
+  let muted = false;
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      if (!muted) process.stdout.write(chunk, encoding);
+      callback();
+    }
+  });
+  const rl = readline.createInterface({ input: process.stdin, output, terminal: true });
+  return new Promise(resolve => {
+    rl.question(question, answer => {
+      rl.close();
+      if (hidden) process.stdout.write('\n');
+      resolve(answer.trim());
+    });
+    muted = hidden;
+  });
+}
+
+function createClient(session) {
+  return new TelegramClient(new StringSession(session), Number(process.env.API_ID), process.env.API_HASH, {
+    connectionRetries: 5
+  });
+}
+
+function printSessionStatus(status) {
+  const { user, authorization } = status;
+  console.log(`👤 Logged in as ${user.name || '-'}${user.username ? ` (@${user.username})` : ''}, id ${user.id}${user.phone ? `, ${user.phone}` : ''}`);
+  if (authorization) {
+    console.log(`📱 Session: ${authorization.app || '-'} on ${authorization.device || '-'}, created ${authorization.created_at}`);
+    console.log(`⏳ Expires after ${authorization.ttl_days} days of inactivity (if unused until ${authorization.expires_at})`);
+  }
+}
+
+async function disconnect(client) {
+  try {
+    await withTimeout(client.disconnect(), 10000, 'disconnect timed out');
+  } catch (error) {
+    console.warn('⚠️  TG disconnect warn:', error.message);
+  }
+}
+
+// Session yang sudah ada → status, atau null jika tidak ada file
+async function checkExistingSession() {
+  const session = readSession();
+  if (!session) {
+    console.log(`📁 No session at ${SESSION_PATH}`);
+    return null;
+  }
+
+  let client;
+  try {
+    client = createClient(session);
+  } catch (error) {
+    return { authorized: false, revoked: true, error: `invalid session string: ${error.message}` };
+  }
+  try {
+    await withTimeout(client.connect(), CONNECT_TIMEOUT_MS, 'connect timed out');
+    return await checkSession(client);
+  } catch (error) {
+    // Koneksi gagal: bukan berarti session di-revoke
+    return { authorized: false, revoked: false, error: error.message };
+  } finally {
+    await disconnect(client);
+  }
+}
+
+async function login() {
+  const client = createClient('');
+  try {
+    await withTimeout(client.connect(), CONNECT_TIMEOUT_MS, 'connect timed out');
+    await client.start({
+      phoneNumber: async () => process.env.TG_PHONE || ask('📱 Phone number (format +62...): '),
+      phoneCode: async () => ask('🔑 Login code (dari aplikasi Telegram): '),
+      password: async (hint) => ask(`🔒 2FA password${hint ? ` (hint: ${hint})` : ''}: `, { hidden: true }),
+      onError: async (error) => {
+        const code = error.errorMessage || error.message;
+        console.error(`❌ ${code}`);
+        // Input salah → tanya lagi (kecuali nomor dari TG_PHONE); error lain (flood wait, dll.) → berhenti
+        if (code === 'PHONE_NUMBER_INVALID' && process.env.TG_PHONE) return true;
+        return !RETRYABLE_LOGIN_ERRORS.includes(code);
+      }
+    });
+
+    saveSession(client.session.save());
+    console.log(`💾 Session saved to ${SESSION_PATH}`);
+    const status = await checkSession(client);
+    if (status.authorized) printSessionStatus(status);
+    return status.authorized;
+  } finally {
+    await disconnect(client);
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (!process.env.API_ID || !process.env.API_HASH) {
+    console.error('❌ API_ID dan API_HASH belum di-set (lihat config/env.example, buat di https://my.telegram.org)');
+    return false;
+  }
+
+  if (!args.includes('--force')) {
+    const status = await checkExistingSession();
+    if (status?.authorized) {
+      console.log('✅ Telegram session valid');
+      printSessionStatus(status);
+      return true;
+    }
+    if (status) {
+      if (status.revoked) printSessionHelp(status.error);
+      else console.error(`❌ Could not check session: ${status.error} (pakai --force untuk login ulang)`);
+    }
+    if (args.includes('--check')) {
+      if (!status) printSessionHelp('session file not found');
+      return false;
+    }
+    if (status && !status.revoked) return false;
+  }
+
+  console.log('🔐 Telegram login');
+  const ok = await login();
+  if (ok) {
+    console.log('\n✅ Login berhasil. Untuk GitHub Actions:');
+    console.log(`   gh secret set TELEGRAM_SESSION < ${SESSION_PATH}`);
+  }
+  return ok;
+}
+
+main()
+  .then(ok => process.exit(ok ? 0 : 1))
+  .catch(error => {
+    console.error(`❌ Login failed: ${error.errorMessage || error.message}`);
+    process.exit(1);
+  });
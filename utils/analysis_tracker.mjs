@@ -1,9 +1,12 @@
 import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'node:fs';
 import path from 'node:path';
+import { PIPELINE_TZ, zonedDate, isoWithOffset } from './time_window.mjs';
 
 export class AnalysisTracker {
-  constructor() {
-    this.today = new Date().toISOString().slice(0, 10);
+  // options.date / options.timeZone: dari run context, supaya "today" sama dengan Phase 1
+  constructor(options = {}) {
+    this.timeZone = options.timeZone || PIPELINE_TZ;
+    this.today = options.date || zonedDate(new Date(), this.timeZone);
     this.trackerFile = path.join('data', 'analysis_tracker.json');
     this.tracker = this.loadTracker();
   }
@@ -32,7 +35,7 @@ export class AnalysisTracker {
   generateSignalKey(signal) {
     // Use same key generation as collection tracker for consistency
     const source = (signal.source || '').toLowerCase();
-    const link = (signal.link || '').toLowerCase();
+    const link = (signal.url || signal.link || '').toLowerCase();
     const title = (signal.title || '').toLowerCase().replace(/[^a-z0-9]/g, '');
     return `${source}:${link}:${title}`;
   }
@@ -47,7 +50,7 @@ export class AnalysisTracker {
   markAsAnalyzed(signal, analysisResult = null) {
     const key = this.generateSignalKey(signal);
     this.tracker.analyzed[key] = {
-      timestamp: new Date().toISOString(),
+      timestamp: isoWithOffset(new Date(), this.timeZone),
       analysisResult: analysisResult
     };
   }
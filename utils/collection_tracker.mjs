@@ -1,9 +1,12 @@
 import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'node:fs';
 import path from 'node:path';
+import { zonedDate } from './time_window.mjs';
 
 export class CollectionTracker {
-  constructor() {
-    this.today = new Date().toISOString().slice(0, 10);
+  // options.date: tanggal bucket (YYYY-MM-DD) untuk tracker harian, default hari ini di timezone pipeline
+  //               (backfill memakai tanggal lampau)
+  constructor(options = {}) {
+    this.today = options.date || zonedDate();
     this.trackerFile = path.join('data', 'collection_tracker.json');
     this.todayFile = path.join('data', this.today, 'collection_tracker.json');
     this.tracker = this.loadTracker();
@@ -0,0 +1,115 @@
+// utils/concurrency.mjs
+// Helper untuk collection paralel dengan batas concurrency, deadline dan cancel (AbortSignal)
+
+export class AbortError extends Error {
+  constructor(message = 'Operation aborted') {
+    super(message);
+    this.name = 'AbortError';
+  }
+}
+
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
+
+// Sleep yang langsung selesai saat signal di-abort
+export function sleep(ms, signal) {
+  if (signal?.aborted) return Promise.resolve();
+  return new Promise(resolve => {
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    }
+    signal?.addEventListener('abort', done, { once: true });
+  });
+}
+
+// Reject dengan AbortError saat signal di-abort, walaupun promise aslinya masih menggantung
+export function abortable(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(new AbortError());
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(new AbortError());
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(
+      value => { signal.removeEventListener('abort', onAbort); resolve(value); },
+      error => { signal.removeEventListener('abort', onAbort); reject(error); }
+    );
+  });
+}
+
+// Promise.race dengan timeout yang timer-nya dibersihkan
+export function withTimeout(promise, ms, message = `Timed out after ${ms}ms`) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Deadline per source: signal di-abort otomatis setelah `ms`
+export function createDeadline(ms) {
+  const controller = new AbortController();
+  const timer = ms > 0 ? setTimeout(() => controller.abort(), ms) : null;
+  return {
+    signal: controller.signal,
+    timedOut: () => controller.signal.aborted,
+    clear: () => clearTimeout(timer)
+  };
+}
+
+// Gabungan beberapa AbortSignal: ter-abort saat salah satunya ter-abort
+export function anySignal(...signals) {
+  const controller = new AbortController();
+  for (const signal of signals.filter(Boolean)) {
+    if (signal.aborted) {
+      controller.abort();
+      break;
+    }
+    signal.addEventListener('abort', () => controller.abort(), { once: true });
+  }
+  return controller.signal;
+}
+
+// Limiter ala p-limit: maksimal `limit` task berjalan bersamaan.
+// Task yang masih antri saat signal di-abort tidak dijalankan (resolve undefined).
+export function createLimiter(limit, { signal } = {}) {
+  const max = Math.max(1, Number(limit) || 1);
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    while (active < max && queue.length > 0) {
+      const { fn, resolve, reject } = queue.shift();
+      if (signal?.aborted) {
+        resolve(undefined);
+        continue;
+      }
+      active++;
+      Promise.resolve()
+        .then(fn)
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          next();
+        });
+    }
+  };
+
+  signal?.addEventListener('abort', () => {
+    while (queue.length > 0) queue.shift().resolve(undefined);
+  }, { once: true });
+
+  return (fn) => new Promise((resolve, reject) => {
+    queue.push({ fn, resolve, reject });
+    next();
+  });
+}
+
+export function mapWithConcurrency(items, limit, fn, { signal } = {}) {
+  const run = createLimiter(limit, { signal });
+  return Promise.all(items.map((item, index) => run(() => fn(item, index))));
+}
@@ -0,0 +1,76 @@
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'node:fs';
+import path from 'node:path';
+
+// High-water mark per source, disimpan di data/source_cursors.json:
+//   github:   { "<owner/repo>": { releases_since, commits_since, pulls_since, issues_since, eip_since, tags }, "org:<org>": { known_ids } }
+//   telegram: { "<chat id>": { last_message_id } }
+//   rss:      { "<feed url>": { etag, last_modified } }
+//
+// Update cursor di-stage per source dan baru di-commit setelah hasil source itu diterima
+// collect_data.mjs, lalu disimpan setelah bucket harian ditulis. Source yang gagal atau terkena
+// deadline, serta cursor dengan signal yang ditolak validasi, tidak digeser, jadi tidak ada data
+// yang terlewat.
+export class CursorStore {
+  // options.file:           lokasi file cursor (default data/source_cursors.json)
+  // options.ignoreExisting: jangan pakai cursor lama untuk run ini (tetap di-update)
+  constructor(options = {}) {
+    this.file = options.file || path.join('data', 'source_cursors.json');
+    this.ignoreExisting = Boolean(options.ignoreExisting);
+    this.cursors = this.loadCursors();
+    this.pending = {};
+  }
+
+  loadCursors() {
+    if (!existsSync(this.file)) return {};
+    try {
+      const { lastUpdated, ...cursors } = JSON.parse(readFileSync(this.file, 'utf8'));
+      return cursors;
+    } catch (error) {
+      console.log('⚠️  Error loading source cursors, starting fresh');
+      return {};
+    }
+  }
+
+  get(source, key) {
+    if (this.ignoreExisting) return null;
+    return this.cursors[source]?.[key] ?? null;
+  }
+
+  set(source, key, value) {
+    if (!this.pending[source]) this.pending[source] = {};
+    this.pending[source][key] = value;
+  }
+
+  // Cursor untuk satu adapter, diteruskan ke collect(context) sebagai context.cursors
+  forSource(source) {
+    return {
+      get: (key) => this.get(source, key),
+      set: (key, value) => this.set(source, key, value)
+    };
+  }
+
+  commit(source) {
+    const updates = this.pending[source];
+    if (!updates) return 0;
+    this.cursors[source] = { ...(this.cursors[source] || {}), ...updates };
+    delete this.pending[source];
+    return Object.keys(updates).length;
+  }
+
+  // keys: hanya cursor ini yang dibuang (default semua cursor source)
+  discard(source, keys) {
+    if (!keys) {
+      delete this.pending[source];
+      return;
+    }
+    for (const key of keys) delete this.pending[source]?.[key];
+  }
+
+  save() {
+    const dir = path.dirname(this.file);
+    if (!existsSync(dir)) {
+      mkdirSync(dir, { recursive: true });
+    }
+    writeFileSync(this.file, JSON.stringify({ ...this.cursors, lastUpdated: new Date().toISOString() }, null, 2));
+  }
+}
@@ -0,0 +1,148 @@
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'node:fs';
+import path from 'node:path';
+
+// Baseline aktivitas developer per repo GitHub (commit & PR merge), disimpan di
+// data/dev_activity_baseline.json sebagai bucket per jam (UTC, "2025-01-01T07").
+// Setiap run menambahkan event baru (di atas high-water mark per metric, jadi event yang
+// di-fetch ulang tidak terhitung dua kali), lalu volume 24 jam terakhir dibandingkan dengan
+// median volume harian hari-hari sebelumnya. Lonjakan jauh di atas baseline = spike.
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+export const DEFAULT_SPIKE_RULES = {
+  baseline_days: 14,     // jumlah hari penuh sebelum 24 jam terakhir yang dipakai sebagai baseline
+  min_history_days: 3,   // repo baru belum punya baseline yang bisa dipercaya
+  min_ratio: 3,          // volume 24 jam ≥ min_ratio × median harian
+  min_events: 10,        // dan minimal sekian event (hindari "spike" 0 → 3 commit)
+  cooldown_hours: 24     // satu spike signal per repo per cooldown
+};
+
+const METRICS = ['commits', 'merged_prs'];
+
+function hourKey(ms) {
+  return new Date(ms).toISOString().slice(0, 13);
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+export class DevActivityBaseline {
+  constructor(options = {}) {
+    this.file = options.file || path.join('data', 'dev_activity_baseline.json');
+    this.rules = { ...DEFAULT_SPIKE_RULES, ...(options.rules || {}) };
+    this.repos = this.loadBaseline();
+  }
+
+  loadBaseline() {
+    if (!existsSync(this.file)) return {};
+    try {
+      const { lastUpdated, ...repos } = JSON.parse(readFileSync(this.file, 'utf8'));
+      return repos;
+    } catch (error) {
+      console.log('⚠️  Error loading dev activity baseline, starting fresh');
+      return {};
+    }
+  }
+
+  entry(repo) {
+    if (!this.repos[repo]) {
+      this.repos[repo] = {
+        first_seen: new Date().toISOString(),
+        last_spike_at: null,
+        high_water: {},
+        hours: {}
+      };
+    }
+    return this.repos[repo];
+  }
+
+  // Tambahkan event (timestamp ISO) untuk satu metric; hanya yang lebih baru dari high-water mark
+  record(repo, metric, timestamps = []) {
+    if (!METRICS.includes(metric)) throw new Error(`Unknown dev activity metric: ${metric}`);
+    const entry = this.entry(repo);
+    const highWater = Date.parse(entry.high_water[metric] || '') || 0;
+    let added = 0;
+    let newest = highWater;
+
+    for (const timestamp of timestamps) {
+      const ms = Date.parse(timestamp || '');
+      if (!Number.isFinite(ms) || ms <= highWater) continue;
+      const bucket = entry.hours[hourKey(ms)] || (entry.hours[hourKey(ms)] = {});
+      bucket[metric] = (bucket[metric] || 0) + 1;
+      newest = Math.max(newest, ms);
+      added++;
+    }
+
+    if (newest > highWater) entry.high_water[metric] = new Date(newest).toISOString();
+    return added;
+  }
+
+  // Volume 24 jam terakhir vs median harian sebelumnya
+  evaluate(repo, now = Date.now()) {
+    const entry = this.repos[repo];
+    const result = { repo, spike: false, history_days: 0 };
+    if (!entry) return result;
+
+    const daily = Array.from({ length: this.rules.baseline_days }, () => ({ commits: 0, merged_prs: 0 }));
+    const recent = { commits: 0, merged_prs: 0 };
+    for (const [hour, counts] of Object.entries(entry.hours)) {
+      const age = now - Date.parse(`${hour}:00:00Z`);
+      if (age < 0) continue;
+      const target = age < DAY_MS ? recent : daily[Math.floor(age / DAY_MS) - 1];
+      if (!target) continue;
+      for (const metric of METRICS) target[metric] += counts[metric] || 0;
+    }
+
+    // Hanya hari yang sudah "teramati" (setelah first_seen) yang masuk baseline
+    const historyDays = Math.min(
+      Math.floor((now - Date.parse(entry.first_seen)) / DAY_MS) - 1,
+      this.rules.baseline_days
+    );
+    result.history_days = Math.max(historyDays, 0);
+    const observed = daily.slice(0, result.history_days);
+
+    for (const metric of METRICS) {
+      result[`${metric}_24h`] = recent[metric];
+      result[`baseline_${metric}`] = median(observed.map(day => day[metric]));
+    }
+
+    const events = recent.commits + recent.merged_prs;
+    const baseline = result.baseline_commits + result.baseline_merged_prs;
+    result.ratio = Math.round((events / Math.max(baseline, 1)) * 10) / 10;
+
+    const cooledDown = !entry.last_spike_at ||
+      now - Date.parse(entry.last_spike_at) >= this.rules.cooldown_hours * HOUR_MS;
+    result.spike = result.history_days >= this.rules.min_history_days &&
+      events >= this.rules.min_events &&
+      result.ratio >= this.rules.min_ratio &&
+      cooledDown;
+    return result;
+  }
+
+  markSpike(repo, now = Date.now()) {
+    this.entry(repo).last_spike_at = new Date(now).toISOString();
+  }
+
+  // Buang bucket yang lebih tua dari baseline
+  prune(now = Date.now()) {
+    const maxAge = (this.rules.baseline_days + 1) * DAY_MS;
+    for (const entry of Object.values(this.repos)) {
+      for (const hour of Object.keys(entry.hours)) {
+        if (now - Date.parse(`${hour}:00:00Z`) > maxAge) delete entry.hours[hour];
+      }
+    }
+  }
+
+  save() {
+    this.prune();
+    const dir = path.dirname(this.file);
+    if (!existsSync(dir)) {
+      mkdirSync(dir, { recursive: true });
+    }
+    writeFileSync(this.file, JSON.stringify({ ...this.repos, lastUpdated: new Date().toISOString() }, null, 2));
+  }
+}
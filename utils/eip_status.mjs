@@ -0,0 +1,49 @@
+// utils/eip_status.mjs
+// Helper untuk repo standar Ethereum (ethereum/EIPs, ethereum/ERCs, ethereum/RIPs).
+// Setiap proposal adalah satu file markdown dengan front matter:
+//   ---
+//   eip: 7702
+//   title: Set Code for EOAs
+//   status: Last Call
+//   type: Standards Track
+//   ---
+// Perubahan status (Draft → Review → Last Call → Final) dibaca dari baris "status:" di patch commit.
+
+// EIPS/eip-7702.md, ERCS/erc-20.md, RIPS/rip-7212.md
+const PROPOSAL_FILE_PATTERN = /^(EIPS|ERCS|RIPS)\/(eip|erc|rip)-(\d+)\.md$/i;
+const STATUS_LINE = /^([+-])status:\s*(.+?)\s*$/i;
+
+// Path file → { standard: "EIP", number } atau null jika bukan file proposal
+export function parseProposalPath(file) {
+  const match = PROPOSAL_FILE_PATTERN.exec(file || '');
+  if (!match) return null;
+  return { standard: match[2].toUpperCase(), number: Number(match[3]) };
+}
+
+// Patch satu file (dari /commits/:sha) → { from, to } atau null jika status tidak berubah.
+// File baru hanya punya baris "+status:", jadi from = null.
+export function parseStatusChange(patch) {
+  let from = null;
+  let to = null;
+  for (const line of (patch || '').split('\n')) {
+    const match = STATUS_LINE.exec(line);
+    if (!match) continue;
+    if (match[1] === '-' && from === null) from = match[2];
+    if (match[1] === '+' && to === null) to = match[2];
+  }
+  if (!to || to === from) return null;
+  return { from, to };
+}
+
+// Front matter markdown → object (key lowercase, value string)
+export function parseFrontMatter(text) {
+  const match = /^---\r?\n([\s\S]*?)\r?\n---/.exec(text || '');
+  if (!match) return {};
+  const fields = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const separator = line.indexOf(':');
+    if (separator <= 0) continue;
+    fields[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+  }
+  return fields;
+}
@@ -0,0 +1,88 @@
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'node:fs';
+import path from 'node:path';
+
+// Item terakhir per feed RSS, disimpan di data/rss_feed_cache.json bersama ETag/Last-Modified
+// response-nya. Feed yang dijawab 304 diproses ulang dari cache, sehingga item yang masih
+// di dalam window (mis. setelah window diperbesar) tetap ikut tanpa download ulang.
+// Conditional GET hanya dikirim jika validator di cursor sama dengan validator cache.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Hanya field yang dipakai collector; snippet dipotong seperti body signal
+function compactItem(item) {
+  return {
+    title: item.title || null,
+    link: item.link || null,
+    isoDate: item.isoDate || null,
+    pubDate: item.pubDate || null,
+    contentSnippet: (item.contentSnippet || '').substring(0, 2000),
+    creator: item.creator || item.author || null,
+    categories: (item.categories || []).filter(c => typeof c === 'string'),
+    guid: item.guid || null
+  };
+}
+
+export class FeedCache {
+  // options.file:          lokasi cache (default data/rss_feed_cache.json)
+  // options.retentionDays: feed yang tidak dipakai selama ini dibuang (feed dihapus dari config)
+  constructor(options = {}) {
+    this.file = options.file || path.join('data', 'rss_feed_cache.json');
+    this.retentionDays = options.retentionDays || 7;
+    this.feeds = this.loadFeeds();
+    this.dirty = false;
+  }
+
+  loadFeeds() {
+    if (!existsSync(this.file)) return {};
+    try {
+      const { lastUpdated, ...feeds } = JSON.parse(readFileSync(this.file, 'utf8'));
+      return feeds;
+    } catch (error) {
+      console.log('⚠️  Error loading RSS feed cache, starting fresh');
+      return {};
+    }
+  }
+
+  // Entry cache yang cocok dengan validator cursor, atau null (→ request tanpa conditional header)
+  match(url, cursor) {
+    const entry = this.feeds[url];
+    if (!entry || !cursor) return null;
+    if (!cursor.etag && !cursor.last_modified) return null;
+    if ((cursor.etag || null) !== entry.etag || (cursor.last_modified || null) !== entry.last_modified) return null;
+    return entry;
+  }
+
+  set(url, { etag, lastModified, items }) {
+    this.feeds[url] = {
+      etag: etag || null,
+      last_modified: lastModified || null,
+      items: items.map(compactItem),
+      fetched_at: new Date().toISOString(),
+      used_at: new Date().toISOString()
+    };
+    this.dirty = true;
+  }
+
+  touch(url) {
+    if (!this.feeds[url]) return;
+    this.feeds[url].used_at = new Date().toISOString();
+    this.dirty = true;
+  }
+
+  prune(now = Date.now()) {
+    const maxAge = this.retentionDays * DAY_MS;
+    for (const [url, entry] of Object.entries(this.feeds)) {
+      if (now - Date.parse(entry.used_at || '') > maxAge) delete this.feeds[url];
+    }
+  }
+
+  save() {
+    if (!this.dirty) return;
+    this.prune();
+    const dir = path.dirname(this.file);
+    if (!existsSync(dir)) {
+      mkdirSync(dir, { recursive: true });
+    }
+    writeFileSync(this.file, JSON.stringify({ ...this.feeds, lastUpdated: new Date().toISOString() }));
+    this.dirty = false;
+  }
+}
@@ -1,28 +1,238 @@
 #!/usr/bin/env node
 
 import 'dotenv/config';
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'node:fs';
+import path from 'node:path';
+import { sleep } from './concurrency.mjs';
 
-// Helper untuk fetch GitHub API dengan headers yang benar
-export async function ghFetchJSON(path) {
-  const url = `https://api.github.com${path}`;
+const USER_AGENT = 'early-pipeline/1.0 (+github.com/your-repo)';
+
+// Cache ETag/Last-Modified per endpoint (data/github_etag_cache.json). Request ulang dengan
+// If-None-Match yang dijawab 304 tidak memakan quota, body diambil dari cache.
+const ETAG_CACHE_FILE = path.join('data', 'github_etag_cache.json');
+const ETAG_CACHE_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Tunggu reset quota jika paling lama sekian ms; lebih lama → request langsung gagal
+const MAX_RATE_LIMIT_WAIT_MS = Number(process.env.GITHUB_MAX_RATE_LIMIT_WAIT_MS) || 60 * 1000;
+// Sisakan sedikit quota untuk script lain yang memakai token yang sama
+const RATE_LIMIT_RESERVE = 2;
+
+export class GitHubRateLimitError extends Error {
+  constructor(message, resetAt) {
+    super(message);
+    this.name = 'GitHubRateLimitError';
+    this.resetAt = resetAt;
+  }
+}
+
+export function isRateLimitError(error) {
+  return error?.name === 'GitHubRateLimitError';
+}
+
+// Status quota terakhir dari header X-RateLimit-* dan statistik pemakaian untuk run summary
+const rateLimit = { remaining: null, limit: null, resetMs: 0 };
+let usage = createUsage();
+let etagCache = null;
+let etagCacheDirty = false;
+
+function createUsage() {
+  return {
+    requests: 0, cached: 0, waits: 0, wait_ms: 0, rate_limited: 0,
+    graphql: { requests: 0, cost: 0, remaining: null, reset_at: null }
+  };
+}
+
+function loadEtagCache() {
+  if (etagCache) return etagCache;
+  etagCache = {};
+  if (existsSync(ETAG_CACHE_FILE)) {
+    try {
+      etagCache = JSON.parse(readFileSync(ETAG_CACHE_FILE, 'utf8'));
+    } catch (error) {
+      console.log('⚠️  Error loading GitHub ETag cache, starting fresh');
+    }
+  }
+  return etagCache;
+}
+
+// Simpan cache ETag (dipanggil sekali setelah collection GitHub selesai)
+export function saveEtagCache() {
+  if (!etagCache || !etagCacheDirty) return;
+  const now = Date.now();
+  for (const [key, entry] of Object.entries(etagCache)) {
+    if (now - Date.parse(entry.used_at || '') > ETAG_CACHE_MAX_AGE_MS) delete etagCache[key];
+  }
+  const dir = path.dirname(ETAG_CACHE_FILE);
+  if (!existsSync(dir)) {
+    mkdirSync(dir, { recursive: true });
+  }
+  writeFileSync(ETAG_CACHE_FILE, JSON.stringify(etagCache));
+  etagCacheDirty = false;
+}
+
+function buildHeaders() {
   const headers = {
-    'User-Agent': 'early-pipeline/1.0 (+github.com/your-repo)',
+    'User-Agent': USER_AGENT,
     'Accept': 'application/vnd.github+json',
     'X-GitHub-Api-Version': '2022-11-28'
   };
-  
   if (process.env.GITHUB_TOKEN) {
     headers.Authorization = `Bearer ${process.env.GITHUB_TOKEN}`;
   }
-  
-  const res = await fetch(url, { headers });
-  
+  return headers;
+}
+
+function updateRateLimit(res) {
+  const remaining = Number(res.headers.get('x-ratelimit-remaining'));
+  const limit = Number(res.headers.get('x-ratelimit-limit'));
+  const reset = Number(res.headers.get('x-ratelimit-reset'));
+  if (res.headers.get('x-ratelimit-remaining') !== null && Number.isFinite(remaining)) {
+    rateLimit.remaining = remaining;
+  }
+  if (Number.isFinite(limit) && limit > 0) rateLimit.limit = limit;
+  if (Number.isFinite(reset) && reset > 0) rateLimit.resetMs = reset * 1000;
+}
+
+// Sebelum request: quota habis → tunggu sampai reset (jika cukup dekat) atau gagal cepat
+async function waitForQuota(url, signal) {
+  if (rateLimit.remaining === null || rateLimit.remaining > RATE_LIMIT_RESERVE) return;
+  const waitMs = rateLimit.resetMs - Date.now() + 1000;
+  if (waitMs <= 0) {
+    rateLimit.remaining = null; // window quota baru, header berikutnya mengisi ulang
+    return;
+  }
+  if (waitMs > MAX_RATE_LIMIT_WAIT_MS) {
+    usage.rate_limited++;
+    throw new GitHubRateLimitError(
+      `GitHub rate limit exhausted until ${new Date(rateLimit.resetMs).toISOString()} :: ${url}`,
+      new Date(rateLimit.resetMs).toISOString()
+    );
+  }
+  console.warn(`⏳ GitHub rate limit low (${rateLimit.remaining} left), waiting ${Math.ceil(waitMs / 1000)}s for reset`);
+  usage.waits++;
+  usage.wait_ms += waitMs;
+  await sleep(waitMs, signal);
+  rateLimit.remaining = null;
+}
+
+// Helper untuk fetch GitHub API dengan headers yang benar
+// options.signal: AbortSignal untuk membatalkan request (deadline per source)
+// options.cache:  pakai conditional request + ETag cache (default true)
+export async function ghFetchJSON(apiPath, options = {}) {
+  const url = `https://api.github.com${apiPath}`;
+  const useCache = options.cache !== false;
+  const cache = useCache ? loadEtagCache() : {};
+  const cached = cache[apiPath];
+
+  for (let attempt = 0; ; attempt++) {
+    await waitForQuota(url, options.signal);
+
+    const headers = buildHeaders();
+    if (cached?.etag) headers['If-None-Match'] = cached.etag;
+    else if (cached?.last_modified) headers['If-Modified-Since'] = cached.last_modified;
+
+    const res = await fetch(url, { headers, signal: options.signal });
+    usage.requests++;
+    updateRateLimit(res);
+
+    if (res.status === 304 && cached) {
+      usage.cached++;
+      cached.used_at = new Date().toISOString();
+      etagCacheDirty = true;
+      // Salinan: pemanggil boleh mengubah hasilnya (mis. t.commit.date) tanpa merusak cache
+      return structuredClone(cached.body);
+    }
+
+    // Primary (remaining 0) atau secondary rate limit (Retry-After): tunggu sekali lalu ulangi
+    if ((res.status === 403 || res.status === 429) && attempt === 0) {
+      const retryAfter = Number(res.headers.get('retry-after'));
+      const exhausted = rateLimit.remaining === 0;
+      if (Number.isFinite(retryAfter) && retryAfter > 0 && retryAfter * 1000 <= MAX_RATE_LIMIT_WAIT_MS) {
+        console.warn(`⏳ GitHub secondary rate limit, retrying after ${retryAfter}s`);
+        usage.waits++;
+        usage.wait_ms += retryAfter * 1000;
+        await sleep(retryAfter * 1000, options.signal);
+        continue;
+      }
+      if (exhausted) continue; // waitForQuota memutuskan: tunggu reset atau GitHubRateLimitError
+    }
+
+    if (!res.ok) {
+      const text = await res.text().catch(() => '');
+      if ((res.status === 403 || res.status === 429) && (rateLimit.remaining === 0 || res.headers.get('retry-after'))) {
+        usage.rate_limited++;
+        throw new GitHubRateLimitError(`GitHub API ${res.status} rate limited :: ${url}`, new Date(rateLimit.resetMs).toISOString());
+      }
+      throw new Error(`GitHub API ${res.status} ${res.statusText} :: ${url} :: ${text.slice(0,200)}`);
+    }
+
+    const body = await res.json();
+    const etag = res.headers.get('etag');
+    const lastModified = res.headers.get('last-modified');
+    if (useCache && (etag || lastModified)) {
+      cache[apiPath] = { etag, last_modified: lastModified, body: structuredClone(body), used_at: new Date().toISOString() };
+      etagCacheDirty = true;
+    }
+    return body;
+  }
+}
+
+// Query GraphQL (butuh GITHUB_TOKEN). Quota GraphQL berbasis poin dan terpisah dari REST;
+// sertakan `rateLimit { cost remaining resetAt }` di query supaya pemakaiannya tercatat.
+// Mengembalikan { data, errors } — errors per field (mis. repo tidak ditemukan) tidak di-throw.
+export async function ghGraphQL(query, variables = {}, options = {}) {
+  if (!process.env.GITHUB_TOKEN) {
+    throw new Error('GitHub GraphQL API requires GITHUB_TOKEN');
+  }
+  const url = 'https://api.github.com/graphql';
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { ...buildHeaders(), 'Content-Type': 'application/json' },
+    body: JSON.stringify({ query, variables }),
+    signal: options.signal
+  });
+  usage.graphql.requests++;
+
   if (!res.ok) {
     const text = await res.text().catch(() => '');
-    throw new Error(`GitHub API ${res.status} ${res.statusText} :: ${url} :: ${text.slice(0,200)}`);
+    if ((res.status === 403 || res.status === 429) && (res.headers.get('x-ratelimit-remaining') === '0' || res.headers.get('retry-after'))) {
+      usage.rate_limited++;
+      throw new GitHubRateLimitError(`GitHub GraphQL ${res.status} rate limited`, res.headers.get('x-ratelimit-reset'));
+    }
+    throw new Error(`GitHub GraphQL ${res.status} ${res.statusText} :: ${text.slice(0,200)}`);
+  }
+
+  const { data, errors = [] } = await res.json();
+  if (!data) {
+    throw new Error(`GitHub GraphQL error: ${errors.map(error => error.message).join('; ') || 'empty response'}`);
+  }
+  if (data.rateLimit) {
+    usage.graphql.cost += data.rateLimit.cost || 0;
+    usage.graphql.remaining = data.rateLimit.remaining;
+    usage.graphql.reset_at = data.rateLimit.resetAt;
   }
-  
-  return res.json();
+  return { data, errors };
+}
+
+// Pemakaian API sejak resetGitHubUsage() (untuk run summary)
+export function getGitHubUsage() {
+  return {
+    requests: usage.requests,
+    cached: usage.cached,
+    // 304 (conditional request) tidak dihitung GitHub ke quota
+    quota_used: usage.requests - usage.cached,
+    remaining: rateLimit.remaining,
+    limit: rateLimit.limit,
+    reset_at: rateLimit.resetMs ? new Date(rateLimit.resetMs).toISOString() : null,
+    waits: usage.waits,
+    wait_ms: usage.wait_ms,
+    rate_limited: usage.rate_limited,
+    graphql: { ...usage.graphql }
+  };
+}
+
+export function resetGitHubUsage() {
+  usage = createUsage();
 }
 
 // Rate limiting helper
@@ -30,23 +240,29 @@ export function delay(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-// Check rate limit status
+// Check rate limit status (endpoint /rate_limit tidak memakan quota)
 export async function checkRateLimit() {
   try {
     const response = await fetch('https://api.github.com/rate_limit', {
       headers: {
-        'User-Agent': 'early-pipeline/1.0 (+github.com/your-repo)',
+        'User-Agent': USER_AGENT,
         'Accept': 'application/vnd.github+json',
         ...(process.env.GITHUB_TOKEN ? { 'Authorization': `Bearer ${process.env.GITHUB_TOKEN}` } : {})
       }
     });
-    
+
     const data = await response.json();
-    return {
+    const result = {
       remaining: data.rate?.remaining || 0,
       reset: data.rate?.reset || 0,
       limit: data.rate?.limit || 60
     };
+    if (data.rate) {
+      rateLimit.remaining = result.remaining;
+      rateLimit.limit = result.limit;
+      rateLimit.resetMs = result.reset * 1000;
+    }
+    return result;
   } catch (error) {
     console.warn('⚠️ Could not check rate limit:', error.message);
     return { remaining: 0, reset: 0, limit: 60 };
@@ -0,0 +1,153 @@
+// utils/github_watchlist.mjs
+// Watchlist repo GitHub untuk Phase 1, disimpan di config/github_watchlist.json:
+//   { "repos": [ { "repo": "owner/name", "category": "L2", "priority": 8, "track": ["releases", "tags", "commits"] } ],
+//     "orgs":  [ { "org": "Layr-Labs", "category": "restaking/DA", "priority": 7 } ] }
+//
+// track menentukan event yang diambil per repo:
+//   releases → GitHub releases
+//   tags     → tags (tanpa releases: selalu; dengan releases: hanya fallback jika repo belum punya release)
+//   commits  → commit terbaru dalam window
+//   pulls    → pull request yang di-merge dalam window
+//   issues   → issue & PR baru/di-update yang label atau judulnya cocok dengan github.issueTerms
+//              (testnet, mainnet, genesis, incentivized, ...)
+//   eip_status → perubahan status proposal di repo EIPs/ERCs/RIPs (Draft → Review → Last Call → Final)
+// orgs: organisasi yang dipantau untuk repo baru (signal new_repo).
+// Kelola lewat `node github_watchlist.mjs` (add/remove/add-org/remove-org/list/validate).
+
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+
+export const WATCHLIST_PATH = 'config/github_watchlist.json';
+export const TRACK_TYPES = ['releases', 'tags', 'commits', 'pulls', 'issues', 'eip_status'];
+export const DEFAULT_TRACK = ['releases', 'tags', 'commits'];
+
+const REPO_PATTERN = /^[A-Za-z0-9_.-]+\/[A-Za-z0-9_.-]+$/;
+const ORG_PATTERN = /^[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?$/;
+
+// Mengembalikan daftar pesan error (kosong = entry valid)
+export function validateWatchlistEntry(entry) {
+  const problems = [];
+  if (!entry || typeof entry.repo !== 'string' || !REPO_PATTERN.test(entry.repo)) {
+    problems.push(`invalid repo "${entry?.repo}" (expected owner/name)`);
+  }
+  if (entry?.category !== undefined && typeof entry.category !== 'string') {
+    problems.push('category must be a string');
+  }
+  if (entry?.priority !== undefined && !Number.isFinite(entry.priority)) {
+    problems.push('priority must be a number');
+  }
+  if (entry?.track !== undefined) {
+    if (!Array.isArray(entry.track) || entry.track.length === 0) {
+      problems.push('track must be a non-empty array');
+    } else {
+      const unknown = entry.track.filter(type => !TRACK_TYPES.includes(type));
+      if (unknown.length > 0) problems.push(`unknown track type(s): ${unknown.join(', ')}`);
+    }
+  }
+  return problems;
+}
+
+export function validateOrgEntry(entry) {
+  const problems = [];
+  if (!entry || typeof entry.org !== 'string' || !ORG_PATTERN.test(entry.org)) {
+    problems.push(`invalid org "${entry?.org}"`);
+  }
+  if (entry?.category !== undefined && typeof entry.category !== 'string') {
+    problems.push('category must be a string');
+  }
+  if (entry?.priority !== undefined && !Number.isFinite(entry.priority)) {
+    problems.push('priority must be a number');
+  }
+  return problems;
+}
+
+// Isi default supaya collector tidak perlu cek field opsional
+export function normalizeWatchlistEntry(entry) {
+  return {
+    repo: entry.repo,
+    category: entry.category || 'other',
+    priority: Number.isFinite(entry.priority) ? entry.priority : 5,
+    track: Array.isArray(entry.track) && entry.track.length > 0 ? entry.track : DEFAULT_TRACK
+  };
+}
+
+export function readWatchlistFile(file = WATCHLIST_PATH) {
+  if (!existsSync(file)) return { repos: [], orgs: [] };
+  const data = JSON.parse(readFileSync(file, 'utf8'));
+  return {
+    ...data,
+    repos: Array.isArray(data.repos) ? data.repos : [],
+    orgs: Array.isArray(data.orgs) ? data.orgs : []
+  };
+}
+
+// Repo yang valid dan ter-normalisasi; entry rusak dilewati dengan warning
+export function loadWatchlist(file = WATCHLIST_PATH) {
+  let data;
+  try {
+    data = readWatchlistFile(file);
+  } catch (error) {
+    console.warn(`⚠️ Could not parse ${file}, GitHub watchlist is empty: ${error.message}`);
+    return [];
+  }
+
+  const seen = new Set();
+  const repos = [];
+  for (const entry of data.repos) {
+    const problems = validateWatchlistEntry(entry);
+    if (problems.length > 0) {
+      console.warn(`⚠️ Skipping watchlist entry ${entry?.repo || '(unknown)'}: ${problems.join('; ')}`);
+      continue;
+    }
+    const key = entry.repo.toLowerCase();
+    if (seen.has(key)) {
+      console.warn(`⚠️ Duplicate watchlist entry ${entry.repo}, keeping the first one`);
+      continue;
+    }
+    seen.add(key);
+    repos.push(normalizeWatchlistEntry(entry));
+  }
+  return repos;
+}
+
+// Org yang valid dan ter-normalisasi
+export function loadWatchedOrgs(file = WATCHLIST_PATH) {
+  let data;
+  try {
+    data = readWatchlistFile(file);
+  } catch (error) {
+    console.warn(`⚠️ Could not parse ${file}, no GitHub orgs watched: ${error.message}`);
+    return [];
+  }
+
+  return data.orgs
+    .filter(entry => {
+      const problems = validateOrgEntry(entry);
+      if (problems.length > 0) console.warn(`⚠️ Skipping watched org ${entry?.org || '(unknown)'}: ${problems.join('; ')}`);
+      return problems.length === 0;
+    })
+    .map(entry => ({
+      org: entry.org,
+      category: entry.category || 'other',
+      priority: Number.isFinite(entry.priority) ? entry.priority : 5
+    }));
+}
+
+// Satu entry per baris supaya diff config tetap mudah dibaca
+function formatEntry(entry) {
+  const fields = Object.entries(entry).map(([key, value]) => {
+    const formatted = Array.isArray(value) ? `[${value.map(item => JSON.stringify(item)).join(', ')}]` : JSON.stringify(value);
+    return `${JSON.stringify(key)}: ${formatted}`;
+  });
+  return `{ ${fields.join(', ')} }`;
+}
+
+export function saveWatchlistFile(data, file = WATCHLIST_PATH) {
+  const sections = Object.entries(data).map(([key, value]) => {
+    if (Array.isArray(value)) {
+      const lines = value.map(entry => `    ${formatEntry(entry)}`);
+      return `  ${JSON.stringify(key)}: [${lines.length > 0 ? `\n${lines.join(',\n')}\n  ` : ''}]`;
+    }
+    return `  ${JSON.stringify(key)}: ${JSON.stringify(value, null, 2).replace(/\n/g, '\n  ')}`;
+  });
+  writeFileSync(file, `{\n${sections.join(',\n')}\n}\n`);
+}
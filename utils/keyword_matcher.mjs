@@ -0,0 +1,93 @@
+// utils/keyword_matcher.mjs
+// Keyword matcher bersama untuk Telegram, GitHub dan filter RSS.
+//
+// Sintaks term (case-insensitive):
+//   "ai"            → kata utuh, tidak cocok di "said" / "paid"
+//   "hard fork"     → frasa; spasi cocok dengan whitespace/-/_ apa pun ("hard-fork")
+//   "deploy*"       → prefix ("deploy", "deployment", "deployed")
+//   "/rc\\d*/"      → regex mentah untuk kasus khusus
+//
+// Term di `exclude` membatalkan match walaupun ada term `include` yang cocok.
+// Term di `weak` (kata umum seperti "token", "update") hanya cukup jika minimal `minWeak`
+// term weak cocok sekaligus; satu term include selalu cukup.
+// Set per source ada di keywords.mjs (KEYWORD_SETS).
+
+import { KEYWORD_SETS } from '../keywords.mjs';
+
+// Batas kata unicode-aware (huruf/angka/underscore dianggap bagian kata)
+const BEFORE = '(?<![\\p{L}\\p{N}_])';
+const AFTER = '(?![\\p{L}\\p{N}_])';
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export function compileTerm(term) {
+  const raw = String(term).trim();
+  if (raw.length > 2 && raw.startsWith('/') && raw.endsWith('/')) {
+    return new RegExp(`${BEFORE}(?:${raw.slice(1, -1)})${AFTER}`, 'iu');
+  }
+
+  const isPrefix = raw.endsWith('*');
+  const words = (isPrefix ? raw.slice(0, -1) : raw).toLowerCase().split(/\s+/).filter(Boolean);
+  const body = words.map(escapeRegExp).join('[\\s\\-_]+');
+  return new RegExp(`${BEFORE}${body}${isPrefix ? '[\\p{L}\\p{N}_]*' : AFTER}`, 'iu');
+}
+
+// include/weak/exclude: array term. Mengembalikan matcher dengan:
+//   match(text) → { matched, hits, excludedBy } (hits termasuk term weak)
+//   test(text)  → boolean
+export function createKeywordMatcher({ include = [], weak = [], exclude = [], minWeak = 2 } = {}) {
+  const compile = (terms) => [...new Set(terms)].map(term => ({ term, pattern: compileTerm(term) }));
+  const includeTerms = compile(include);
+  const weakTerms = compile(weak);
+  const excludeTerms = compile(exclude);
+
+  const match = (text) => {
+    const hay = String(text || '');
+    const strongHits = includeTerms.filter(({ pattern }) => pattern.test(hay)).map(({ term }) => term);
+    const weakHits = weakTerms.filter(({ pattern }) => pattern.test(hay)).map(({ term }) => term);
+    const hits = [...strongHits, ...weakHits];
+    const included = strongHits.length > 0 || weakHits.length >= minWeak;
+    const excludedBy = included
+      ? excludeTerms.filter(({ pattern }) => pattern.test(hay)).map(({ term }) => term)
+      : [];
+    return { matched: included && excludedBy.length === 0, hits, excludedBy };
+  };
+
+  return {
+    match,
+    test: (text) => match(text).matched
+  };
+}
+
+const matcherCache = new Map();
+
+// Matcher untuk satu set di KEYWORD_SETS (telegram, github, cointelegraph, ...)
+export function getKeywordMatcher(setName) {
+  if (!matcherCache.has(setName)) {
+    const set = KEYWORD_SETS[setName];
+    if (!set) throw new Error(`Unknown keyword set: ${setName}`);
+    matcherCache.set(setName, createKeywordMatcher(set));
+  }
+  return matcherCache.get(setName);
+}
+
+// Laporan match per run: berapa kali setiap term cocok / mengeksklusi
+export function createMatchReport() {
+  const report = { checked: 0, matched: 0, excluded: 0, hits: {}, exclusions: {} };
+
+  return {
+    record({ matched, hits, excludedBy }) {
+      report.checked++;
+      if (matched) report.matched++;
+      if (excludedBy.length > 0) report.excluded++;
+      hits.forEach(term => { report.hits[term] = (report.hits[term] || 0) + 1; });
+      excludedBy.forEach(term => { report.exclusions[term] = (report.exclusions[term] || 0) + 1; });
+    },
+    topHits(limit = 10) {
+      return Object.entries(report.hits).sort((a, b) => b[1] - a[1]).slice(0, limit);
+    },
+    toJSON: () => report
+  };
+}
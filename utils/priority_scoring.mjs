@@ -0,0 +1,85 @@
+// utils/priority_scoring.mjs
+// Priority signal Phase 1 dari config/priority_rules.json:
+//   priority = base + channel weight + category weight
+//            + source_priority × source_priority_weight + keyword weights (maks keyword_cap)
+//            + engagement weight (level virality Telegram: viral/high/normal/low, lihat utils/telegram_engagement.mjs)
+//
+// `source_priority` adalah priority dari source itu sendiri (mis. per repo di config/github_watchlist.json)
+// dan tidak pernah ditimpa, jadi scoring ulang signal yang sudah tersimpan tetap konsisten.
+
+import { readFileSync, existsSync } from 'node:fs';
+import { createKeywordMatcher } from './keyword_matcher.mjs';
+
+const PRIORITY_RULES_PATH = 'config/priority_rules.json';
+
+const DEFAULT_RULES = {
+  base: 1,
+  channel_weights: {},
+  category_weights: {},
+  source_priority_weight: 0,
+  keyword_weights: {},
+  keyword_cap: 0,
+  engagement_weights: {}
+};
+
+export function loadPriorityRules(file = PRIORITY_RULES_PATH) {
+  if (!existsSync(file)) return DEFAULT_RULES;
+  try {
+    return { ...DEFAULT_RULES, ...JSON.parse(readFileSync(file, 'utf8')) };
+  } catch (error) {
+    console.warn(`⚠️ Could not parse ${file}, using default priority rules: ${error.message}`);
+    return DEFAULT_RULES;
+  }
+}
+
+// Lookup case-insensitive (kategori RSS ditulis lowercase, GitHub memakai "core-L1")
+function weightOf(weights, key) {
+  if (!key) return 0;
+  const match = Object.keys(weights).find(name => name.toLowerCase() === String(key).toLowerCase());
+  return match ? Number(weights[match]) || 0 : 0;
+}
+
+// Keyword weights memakai sintaks term yang sama dengan utils/keyword_matcher.mjs
+const matchers = new WeakMap();
+
+function matchKeywords(signal, keywordWeights) {
+  if (!matchers.has(keywordWeights)) {
+    matchers.set(keywordWeights, createKeywordMatcher({ include: Object.keys(keywordWeights) }));
+  }
+  const { hits } = matchers.get(keywordWeights).match(`${signal.title || ''} ${signal.body || ''}`);
+  return hits.map(keyword => ({ keyword, weight: Number(keywordWeights[keyword]) || 0 }));
+}
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Mengembalikan { priority, breakdown } tanpa mengubah signal
+export function scoreSignal(signal, rules = loadPriorityRules()) {
+  const sourcePriority = Number.isFinite(signal.source_priority) ? signal.source_priority : (signal.priority || 0);
+  const keywords = matchKeywords(signal, rules.keyword_weights || {});
+  const keywordTotal = keywords.reduce((sum, { weight }) => sum + weight, 0);
+
+  const breakdown = {
+    base: Number(rules.base) || 0,
+    channel: weightOf(rules.channel_weights || {}, signal.channel),
+    category: weightOf(rules.category_weights || {}, signal.category),
+    source_priority: round(sourcePriority * (Number(rules.source_priority_weight) || 0)),
+    keywords: rules.keyword_cap > 0 ? Math.min(keywordTotal, rules.keyword_cap) : keywordTotal,
+    matched_keywords: keywords.map(({ keyword }) => keyword),
+    engagement: weightOf(rules.engagement_weights || {}, signal.meta?.engagement?.virality?.level)
+  };
+
+  const priority = round(breakdown.base + breakdown.channel + breakdown.category + breakdown.source_priority +
+    breakdown.keywords + breakdown.engagement);
+  return { priority, breakdown };
+}
+
+// Hitung ulang priority, simpan source_priority asli dan breakdown di signal
+export function applyPriority(signal, rules = loadPriorityRules()) {
+  if (!Number.isFinite(signal.source_priority)) {
+    signal.source_priority = Number.isFinite(signal.priority) ? signal.priority : 0;
+  }
+  const { priority, breakdown } = scoreSignal(signal, rules);
+  signal.priority = priority;
+  signal.priority_breakdown = breakdown;
+  return signal;
+}
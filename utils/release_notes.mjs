@@ -0,0 +1,123 @@
+// utils/release_notes.mjs
+// Parser release notes GitHub → field terstruktur di signal.meta.release_notes:
+//   version:          { raw, major, minor, patch, prerelease } dari tag/judul (semver, "v" opsional)
+//   is_prerelease:    flag GitHub atau suffix alpha/beta/rc/... di versi
+//   networks:         mainnet/testnet/devnet dan testnet bernama (sepolia, holesky, ...)
+//   chain_ids:        chain ID yang disebut di notes
+//   upgrades:         nama hard fork / network upgrade (Pectra, Fusaka, "Bepo upgrade", ...)
+//   activations:      { kind: block|epoch|slot|timestamp|date, value, network, text } per baris
+//   breaking:         ada breaking change
+//   required_upgrade: operator wajib upgrade (mandatory/required/critical)
+//   security:         security fix / CVE
+
+const SEMVER_PATTERN = /\bv?(\d+)\.(\d+)(?:\.(\d+))?(?:[-.+]?((?:alpha|beta|rc|pre|preview|dev|nightly|unstable)[.-]?\d*))?/i;
+
+const NETWORK_NAMES = ['mainnet', 'testnet', 'devnet', 'sepolia', 'holesky', 'hoodi', 'goerli', 'ephemery'];
+
+// Nama upgrade Ethereum yang sering muncul tanpa kata "upgrade"/"fork" di dekatnya
+const KNOWN_UPGRADES = ['Shapella', 'Dencun', 'Cancun', 'Deneb', 'Pectra', 'Prague', 'Electra', 'Fusaka', 'Osaka', 'Fulu', 'Glamsterdam'];
+
+// Kata kapital di depan "upgrade"/"hard fork" yang bukan nama upgrade
+const UPGRADE_STOPWORDS = new Set([
+  'a', 'an', 'the', 'this', 'next', 'network', 'required', 'mandatory', 'critical', 'recommended',
+  'optional', 'major', 'minor', 'client', 'node', 'breaking', 'scheduled', 'upcoming', 'planned',
+  'security', 'protocol', 'contract', 'chain', 'testnet', 'mainnet', 'devnet', 'please', 'must'
+]);
+
+const UPGRADE_PATTERN = /\b([A-Z][A-Za-z0-9]{2,})\s+(?:hard[- ]?fork|network upgrade|upgrade|fork)\b/g;
+const CHAIN_ID_PATTERN = /chain[\s_-]?id\s*[:=#]?\s*`?(\d{1,12})`?/gi;
+const ACTIVATION_LINE = /activat|scheduled|fork|upgrade|epoch|slot|block|height|timestamp/i;
+
+const ACTIVATION_PATTERNS = [
+  { kind: 'block', pattern: /\b(?:block(?:\s+(?:number|height))?|height)\s*[:#=]?\s*`?(\d[\d,_]{3,})`?/gi },
+  { kind: 'epoch', pattern: /\bepoch\s*[:#=]?\s*`?(\d[\d,_]{2,})`?/gi },
+  { kind: 'slot', pattern: /\bslot\s*[:#=]?\s*`?(\d[\d,_]{3,})`?/gi },
+  { kind: 'timestamp', pattern: /\b(?:timestamp|unix(?:\s+time)?|time)\s*[:=]?\s*`?(\d{10})`?/gi },
+  { kind: 'date', pattern: /\b(20\d{2}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2})?(?:\s*(?:UTC|Z))?)?)/g }
+];
+
+const BREAKING_PATTERN = /\bbreaking\b/i;
+const REQUIRED_UPGRADE_PATTERN = /\b(?:mandatory|required|critical|urgent)\s+(?:upgrade|update|release)\b|\bupgrade\s+(?:is\s+)?(?:required|mandatory)\b|\bmust\s+(?:upgrade|update)\b/i;
+const SECURITY_PATTERN = /\bsecurity\s+(?:fix|release|patch|update|advisory)\b|\bvulnerabilit(?:y|ies)\b|\bCVE-\d{4}-\d+/i;
+
+export function parseVersion(text) {
+  const match = SEMVER_PATTERN.exec(text || '');
+  if (!match) return null;
+  return {
+    raw: match[0],
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: match[3] !== undefined ? Number(match[3]) : 0,
+    prerelease: match[4] ? match[4].toLowerCase() : null
+  };
+}
+
+function findNetworks(text) {
+  const lower = text.toLowerCase();
+  return NETWORK_NAMES.filter(name => new RegExp(`\\b${name}\\b`).test(lower));
+}
+
+function findUpgrades(text) {
+  const upgrades = new Set(KNOWN_UPGRADES.filter(name => new RegExp(`\\b${name}\\b`).test(text)));
+  for (const match of text.matchAll(UPGRADE_PATTERN)) {
+    const name = match[1].toLowerCase();
+    if (!UPGRADE_STOPWORDS.has(name) && !NETWORK_NAMES.includes(name)) upgrades.add(match[1]);
+  }
+  return [...upgrades];
+}
+
+// Aktivasi dicari per baris supaya network & angka dari baris yang sama tetap berpasangan
+function findActivations(text) {
+  const activations = [];
+  const seen = new Set();
+  for (const line of text.split('\n')) {
+    if (!ACTIVATION_LINE.test(line)) continue;
+    const network = findNetworks(line)[0] || null;
+    for (const { kind, pattern } of ACTIVATION_PATTERNS) {
+      for (const match of line.matchAll(pattern)) {
+        const value = kind === 'date' ? match[1] : Number(match[1].replace(/[,_]/g, ''));
+        const key = `${kind}:${value}:${network}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        activations.push({ kind, value, network, text: line.replace(/^\s*[-*]\s+/, '').replace(/[*_`#>|]+/g, ' ').replace(/\s+/g, ' ').trim().substring(0, 200) });
+      }
+    }
+  }
+  return activations.slice(0, 10);
+}
+
+// release: { tag, title, body, prerelease } (flag prerelease dari GitHub, opsional)
+export function parseReleaseNotes({ tag = '', title = '', body = '', prerelease = false } = {}) {
+  const text = `${title}\n${body || ''}`;
+  const version = parseVersion(tag) || parseVersion(title);
+  const chainIds = [...new Set([...text.matchAll(CHAIN_ID_PATTERN)].map(match => Number(match[1])))];
+
+  return {
+    version,
+    is_prerelease: Boolean(prerelease || version?.prerelease),
+    networks: findNetworks(`${tag} ${text}`),
+    chain_ids: chainIds,
+    upgrades: findUpgrades(text),
+    activations: findActivations(body || ''),
+    breaking: BREAKING_PATTERN.test(text),
+    required_upgrade: REQUIRED_UPGRADE_PATTERN.test(text),
+    security: SECURITY_PATTERN.test(text)
+  };
+}
+
+// Ringkasan satu baris untuk log/prompt, mis. "v1.14.0 | mainnet | Pectra | required upgrade"
+export function describeReleaseNotes(notes) {
+  if (!notes) return '';
+  const activation = notes.activations[0];
+  return [
+    notes.version?.raw,
+    notes.is_prerelease && 'pre-release',
+    notes.networks.length > 0 && notes.networks.join('/'),
+    notes.chain_ids.length > 0 && `chain id ${notes.chain_ids.join(', ')}`,
+    notes.upgrades.length > 0 && `upgrade ${notes.upgrades.join(', ')}`,
+    activation && `activation ${activation.kind} ${activation.value}${activation.network ? ` (${activation.network})` : ''}`,
+    notes.breaking && 'breaking',
+    notes.required_upgrade && 'required upgrade',
+    notes.security && 'security fix'
+  ].filter(Boolean).join(' | ');
+}
@@ -0,0 +1,101 @@
+// utils/run_context.mjs
+// Satu konteks per run pipeline: tanggal & timezone dikunci di awal run, sehingga
+// Phase 1, 2 dan 3 membaca/menulis hari yang sama walaupun run melewati tengah malam.
+//
+//   data/<date>/                    → bucket harian (daily_signals.json, tracker harian)
+//   data/<date>/runs/<runId>/       → output per run (analysis Gemini, summary, pesan gagal)
+//   data/latest_run.json            → pointer ke run terakhir (dipakai Phase 2/3 standalone);
+//                                     run listener tidak memindahkan pointer ini
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'node:fs';
+import path from 'node:path';
+import { PIPELINE_TZ, zonedDate, isoWithOffset } from './time_window.mjs';
+
+const LATEST_RUN_FILE = path.join('data', 'latest_run.json');
+
+function buildContext({ runId, date, timeZone, startedAt, updateLatest = true }) {
+  const dayDir = path.join('data', date);
+  const runDir = path.join(dayDir, 'runs', runId);
+
+  return {
+    runId,
+    date,
+    timeZone,
+    startedAt,
+    updateLatest,
+    dayDir,
+    runDir,
+    // Timestamp sekarang, ISO-8601 dengan offset timezone run
+    now: () => isoWithOffset(new Date(), timeZone),
+    dayFile: (name) => path.join(dayDir, name),
+    runFile: (name) => path.join(runDir, name),
+    ensureDirs() {
+      if (!existsSync(runDir)) mkdirSync(runDir, { recursive: true });
+    }
+  };
+}
+
+// Run baru. options.date / options.runId untuk test/replay (backfill tetap satu run hari ini)
+// options.updateLatest: false → manifest hanya di direktori run, data/latest_run.json tidak disentuh
+export function createRunContext(options = {}) {
+  const timeZone = options.timeZone || PIPELINE_TZ;
+  const started = new Date();
+  const startedAt = isoWithOffset(started, timeZone);
+  // "2025-01-01T07-30-05" (waktu lokal) — urut secara leksikal dan aman untuk nama direktori
+  const runId = options.runId || startedAt.slice(0, 19).replace(/:/g, '-');
+
+  return buildContext({
+    runId,
+    date: options.date || zonedDate(started, timeZone),
+    timeZone,
+    startedAt,
+    updateLatest: options.updateLatest !== false
+  });
+}
+
+// Simpan manifest di direktori run + pointer run terakhir (kecuali ctx.updateLatest false).
+// `extra` (mis. { phase2: {...} }) digabung dengan manifest yang sudah ada.
+export function saveRunContext(ctx, extra = {}) {
+  ctx.ensureDirs();
+  let previous = {};
+  if (existsSync(ctx.runFile('run.json'))) {
+    try {
+      previous = JSON.parse(readFileSync(ctx.runFile('run.json'), 'utf8'));
+    } catch (error) {
+      console.log('⚠️  Could not read run manifest, rewriting it');
+    }
+  }
+  const manifest = {
+    ...previous,
+    runId: ctx.runId,
+    date: ctx.date,
+    timeZone: ctx.timeZone,
+    startedAt: ctx.startedAt,
+    dir: ctx.runDir,
+    updatedAt: ctx.now(),
+    ...extra
+  };
+  writeFileSync(ctx.runFile('run.json'), JSON.stringify(manifest, null, 2));
+  if (ctx.updateLatest) writeFileSync(LATEST_RUN_FILE, JSON.stringify(manifest, null, 2));
+  return manifest;
+}
+
+// Konteks run terakhir (Phase 2/3 yang dijalankan sendiri); run baru jika belum ada
+export function loadLatestRunContext() {
+  if (existsSync(LATEST_RUN_FILE)) {
+    try {
+      const latest = JSON.parse(readFileSync(LATEST_RUN_FILE, 'utf8'));
+      if (latest.runId && latest.date) {
+        return buildContext({
+          runId: latest.runId,
+          date: latest.date,
+          timeZone: latest.timeZone || PIPELINE_TZ,
+          startedAt: latest.startedAt
+        });
+      }
+    } catch (error) {
+      console.log('⚠️  Could not read latest run pointer, starting a new run');
+    }
+  }
+  return createRunContext();
+}
@@ -0,0 +1,88 @@
+import { readFileSync, writeFileSync, existsSync, mkdirSync, renameSync } from 'node:fs';
+import path from 'node:path';
+
+// Antrian signal persisten untuk mode real-time (telegram_listener.mjs), disimpan di
+// data/telegram_queue.json. Signal ditulis ke disk begitu diterima dan baru dihapus setelah
+// Phase 2/3 selesai memprosesnya, jadi restart, crash atau gangguan Gemini/Telegram tidak
+// menghilangkan signal. Batch yang gagal dicoba lagi sampai maxAttempts, lalu ditandai failed.
+export class SignalQueue {
+  // options.file:        lokasi file antrian
+  // options.maxAttempts: jumlah percobaan per signal sebelum ditandai failed
+  constructor(options = {}) {
+    this.file = options.file || path.join('data', 'telegram_queue.json');
+    this.maxAttempts = options.maxAttempts || 5;
+    this.items = this.loadQueue();
+  }
+
+  loadQueue() {
+    if (!existsSync(this.file)) return [];
+    try {
+      const data = JSON.parse(readFileSync(this.file, 'utf8'));
+      return Array.isArray(data.items) ? data.items : [];
+    } catch (error) {
+      console.log('⚠️  Error loading signal queue, starting fresh');
+      return [];
+    }
+  }
+
+  // false jika signal dengan id yang sama masih ada di antrian
+  enqueue(signal) {
+    if (this.items.some(item => item.signal.id === signal.id)) return false;
+    this.items.push({ signal, enqueued_at: new Date().toISOString(), attempts: 0, last_error: null, failed: false });
+    this.save();
+    return true;
+  }
+
+  // Signal yang siap diproses (terlama dulu)
+  pending(limit = Infinity) {
+    return this.items.filter(item => !item.failed).slice(0, limit).map(item => item.signal);
+  }
+
+  // Hapus signal yang sudah selesai diproses
+  complete(ids) {
+    const done = new Set(ids);
+    this.items = this.items.filter(item => !done.has(item.signal.id));
+    this.save();
+  }
+
+  // Catat kegagalan; signal yang sudah maxAttempts kali gagal tidak diambil lagi
+  fail(ids, error) {
+    const failedIds = new Set(ids);
+    for (const item of this.items) {
+      if (!failedIds.has(item.signal.id)) continue;
+      item.attempts++;
+      item.last_error = error?.message || String(error);
+      item.failed = item.attempts >= this.maxAttempts;
+    }
+    this.save();
+  }
+
+  // Kembalikan signal failed ke antrian (mis. setelah Gemini key diperbaiki)
+  retryFailed() {
+    let count = 0;
+    for (const item of this.items) {
+      if (!item.failed) continue;
+      item.failed = false;
+      item.attempts = 0;
+      count++;
+    }
+    if (count > 0) this.save();
+    return count;
+  }
+
+  getStats() {
+    const failed = this.items.filter(item => item.failed).length;
+    return { pending: this.items.length - failed, failed, oldest: this.items[0]?.enqueued_at || null };
+  }
+
+  // Tulis ke file sementara lalu rename, supaya crash di tengah penulisan tidak merusak antrian
+  save() {
+    const dir = path.dirname(this.file);
+    if (!existsSync(dir)) {
+      mkdirSync(dir, { recursive: true });
+    }
+    const tmpFile = `${this.file}.tmp`;
+    writeFileSync(tmpFile, JSON.stringify({ items: this.items, lastUpdated: new Date().toISOString() }, null, 2));
+    renameSync(tmpFile, this.file);
+  }
+}
@@ -0,0 +1,150 @@
+// utils/signal_schema.mjs
+// Skema Signal tunggal untuk semua source Phase 1.
+//
+// Signal {
+//   id:           string    — unik & stabil, format "<channel>:<id dari source>"
+//   source:       string    — asal yang dibaca manusia (repo, judul channel, nama feed)
+//   channel:      string    — nama adapter (github | telegram | rss | ...)
+//   type:         string    — jenis item (release, tag, commit, message, article, listing, ...)
+//   title:        string    — judul singkat, tidak boleh kosong
+//   body:         string    — teks lengkap / markdown (boleh kosong)
+//   url:          string    — link http(s)
+//   published_at: string    — timestamp ISO-8601
+//   author:       string|null
+//   tags:         string[]
+//   category:     string    — kategori pipeline (core-L1, news core, ...)
+//   priority:     number    — priority dari source itu sendiri; Phase 1 menyimpannya sebagai
+//                             source_priority lalu menghitung ulang priority + priority_breakdown
+//                             (utils/priority_scoring.mjs)
+//   meta:         object    — field terstruktur khusus source (tag release, message id, ...)
+//   raw:          object    — payload asli collector, untuk debugging
+// }
+//
+// Collector membuat signal lewat createSignal(); collect_data.mjs memvalidasi hasil
+// setiap adapter dengan validateSignals() sebelum masuk ke tracker & Gemini.
+
+import { createHash } from 'node:crypto';
+import { parseZonedLocal } from './time_window.mjs';
+
+export const SIGNAL_FIELDS = [
+  'id', 'source', 'channel', 'type', 'title', 'body', 'url', 'published_at',
+  'author', 'tags', 'category', 'priority', 'meta', 'raw'
+];
+
+export function hashId(value) {
+  return createHash('sha1').update(String(value)).digest('hex').slice(0, 16);
+}
+
+function toISO(value) {
+  if (!value) return '';
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? String(value) : date.toISOString();
+}
+
+export function createSignal(fields) {
+  const channel = fields.channel || 'unknown';
+  const url = (fields.url || '').trim();
+  const title = (fields.title || '').trim();
+
+  return {
+    id: fields.id || `${channel}:${hashId(url || `${fields.source}:${title}`)}`,
+    source: fields.source || 'Unknown',
+    channel,
+    type: fields.type || 'item',
+    title,
+    body: fields.body || '',
+    url,
+    published_at: toISO(fields.published_at),
+    author: fields.author || null,
+    tags: Array.isArray(fields.tags) ? fields.tags.filter(Boolean).map(String) : [],
+    category: fields.category || 'general',
+    priority: Number.isFinite(fields.priority) ? fields.priority : 1,
+    meta: fields.meta || {},
+    raw: fields.raw || {}
+  };
+}
+
+// Signal lama (sebelum skema ini) memakai link/time/originalSignal
+export function fromLegacySignal(legacy) {
+  if (legacy && legacy.id && legacy.published_at) return legacy;
+
+  const original = legacy.originalSignal || {};
+  // "time" lama ditulis sebagai waktu lokal pipeline (Europe/Zurich) tanpa offset
+  const legacyTime = legacy.time ? parseZonedLocal(legacy.time) : NaN;
+  const time = legacy.published_at || original.published_at ||
+    (Number.isNaN(legacyTime) ? legacy.time : new Date(legacyTime).toISOString());
+  return createSignal({
+    id: legacy.id,
+    source: legacy.source,
+    channel: legacy.channel,
+    type: original.type || legacy.type,
+    title: legacy.title || legacy.judul,
+    body: original.body || legacy.body,
+    url: legacy.url || legacy.link,
+    published_at: time,
+    author: original.author || legacy.author,
+    category: legacy.category,
+    priority: legacy.priority,
+    meta: legacy.messageId ? { message_id: legacy.messageId } : {},
+    raw: original
+  });
+}
+
+export function validateSignal(signal) {
+  const errors = [];
+  const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+  if (!signal || typeof signal !== 'object') {
+    return ['signal is not an object'];
+  }
+
+  for (const field of ['id', 'source', 'channel', 'type', 'title']) {
+    if (!isNonEmptyString(signal[field])) errors.push(`${field} is required`);
+  }
+
+  if (!isNonEmptyString(signal.url)) {
+    errors.push('url is required');
+  } else {
+    try {
+      const { protocol } = new URL(signal.url);
+      if (protocol !== 'http:' && protocol !== 'https:') errors.push(`url must be http(s): ${signal.url}`);
+    } catch {
+      errors.push(`url is invalid: ${signal.url}`);
+    }
+  }
+
+  if (!isNonEmptyString(signal.published_at) || Number.isNaN(Date.parse(signal.published_at))) {
+    errors.push(`published_at is not a valid ISO-8601 timestamp: ${signal.published_at}`);
+  }
+
+  if (typeof signal.body !== 'string') errors.push('body must be a string');
+  if (signal.author !== null && typeof signal.author !== 'string') errors.push('author must be a string or null');
+  if (!Array.isArray(signal.tags) || signal.tags.some(tag => typeof tag !== 'string')) errors.push('tags must be an array of strings');
+  if (!Number.isFinite(signal.priority)) errors.push('priority must be a number');
+  if (!signal.meta || typeof signal.meta !== 'object') errors.push('meta must be an object');
+  if (!signal.raw || typeof signal.raw !== 'object') errors.push('raw must be an object');
+
+  return errors;
+}
+
+// Pisahkan signal valid dan invalid; invalid dilaporkan (bukan dibuang diam-diam)
+export function validateSignals(signals) {
+  const valid = [];
+  const invalid = [];
+
+  for (const signal of signals) {
+    const errors = validateSignal(signal);
+    if (errors.length === 0) {
+      valid.push(signal);
+    } else {
+      invalid.push({
+        id: signal?.id || null,
+        source: signal?.source || 'Unknown',
+        title: (signal?.title || '').substring(0, 100),
+        errors
+      });
+    }
+  }
+
+  return { valid, invalid };
+}
@@ -0,0 +1,143 @@
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'node:fs';
+import path from 'node:path';
+
+// Health per unit source (feed RSS, channel Telegram, repo GitHub), key "<adapter>:<id>".
+// Disimpan di data/source_health.json dan di-update setiap run. Unit yang gagal
+// QUARANTINE_AFTER kali berturut-turut di-quarantine dengan backoff eksponensial;
+// setelah quarantine habis unit dicoba lagi sekali (probe), sukses = pulih.
+// Id ADAPTER_HEALTH_ID mencatat seluruh collector (session hilang, token ditolak, collector throw/timeout);
+// entry ini hanya dilaporkan, tidak pernah di-quarantine.
+const QUARANTINE_AFTER = 3;
+const BASE_BACKOFF_MS = 2 * 60 * 60 * 1000;   // 2 jam
+const MAX_BACKOFF_MS = 7 * 24 * 60 * 60 * 1000; // 7 hari
+
+export const ADAPTER_HEALTH_ID = '_adapter';
+
+export class SourceHealthTracker {
+  constructor(options = {}) {
+    this.file = options.file || path.join('data', 'source_health.json');
+    this.health = this.loadHealth();
+  }
+
+  loadHealth() {
+    if (!existsSync(this.file)) return {};
+    try {
+      const { lastUpdated, ...health } = JSON.parse(readFileSync(this.file, 'utf8'));
+      return health;
+    } catch (error) {
+      console.log('⚠️  Error loading source health, starting fresh');
+      return {};
+    }
+  }
+
+  entry(adapter, id) {
+    const key = `${adapter}:${id}`;
+    if (!this.health[key]) {
+      this.health[key] = {
+        adapter,
+        id: String(id),
+        last_success: null,
+        last_failure: null,
+        last_error: null,
+        consecutive_failures: 0,
+        total_runs: 0,
+        total_failures: 0,
+        avg_latency_ms: null,
+        last_items: 0,
+        avg_items: null,
+        quarantined_until: null
+      };
+    }
+    return this.health[key];
+  }
+
+  isQuarantined(adapter, id, now = Date.now()) {
+    const until = Date.parse(this.health[`${adapter}:${id}`]?.quarantined_until || '');
+    return Number.isFinite(until) && until > now;
+  }
+
+  // Rata-rata bergerak (EMA) supaya run lama pelan-pelan terlupakan
+  static average(previous, value) {
+    if (!Number.isFinite(value)) return previous;
+    return previous === null ? Math.round(value) : Math.round(previous * 0.8 + value * 0.2);
+  }
+
+  recordSuccess(adapter, id, { latencyMs, items = 0 } = {}) {
+    const entry = this.entry(adapter, id);
+    const recovered = entry.consecutive_failures >= QUARANTINE_AFTER;
+    entry.total_runs++;
+    entry.last_success = new Date().toISOString();
+    entry.consecutive_failures = 0;
+    entry.quarantined_until = null;
+    entry.avg_latency_ms = SourceHealthTracker.average(entry.avg_latency_ms, latencyMs);
+    entry.last_items = items;
+    entry.avg_items = SourceHealthTracker.average(entry.avg_items, items);
+    if (recovered) console.log(`💚 ${adapter}:${id} recovered, quarantine lifted`);
+  }
+
+  // error: Error (pesan-nya disimpan sebagai last_error)
+  recordFailure(adapter, id, { latencyMs, error } = {}) {
+    const entry = this.entry(adapter, id);
+    entry.total_runs++;
+    entry.total_failures++;
+    entry.consecutive_failures++;
+    entry.last_failure = new Date().toISOString();
+    entry.last_error = (error?.message || 'Unknown error').substring(0, 300);
+    entry.avg_latency_ms = SourceHealthTracker.average(entry.avg_latency_ms, latencyMs);
+
+    if (entry.consecutive_failures >= QUARANTINE_AFTER && String(id) !== ADAPTER_HEALTH_ID) {
+      const backoff = Math.min(BASE_BACKOFF_MS * 2 ** (entry.consecutive_failures - QUARANTINE_AFTER), MAX_BACKOFF_MS);
+      entry.quarantined_until = new Date(Date.now() + backoff).toISOString();
+      console.warn(`🚧 ${adapter}:${id} quarantined until ${entry.quarantined_until} (${entry.consecutive_failures} consecutive failures)`);
+    }
+  }
+
+  // Health untuk satu adapter, diteruskan ke collect(context) sebagai context.health.
+  // adapterFailed(): collector sudah mencatat kegagalan ADAPTER_HEALTH_ID lewat handle ini
+  forSource(adapter) {
+    let adapterFailed = false;
+    return {
+      isQuarantined: (id) => this.isQuarantined(adapter, id),
+      recordSuccess: (id, stats) => this.recordSuccess(adapter, id, stats),
+      recordFailure: (id, stats) => {
+        if (String(id) === ADAPTER_HEALTH_ID) adapterFailed = true;
+        this.recordFailure(adapter, id, stats);
+      },
+      adapterFailed: () => adapterFailed
+    };
+  }
+
+  // Hapus quarantine (dan hitungan gagal) untuk key tertentu atau semua
+  reset(key) {
+    const keys = key ? [key] : Object.keys(this.health);
+    let count = 0;
+    for (const k of keys) {
+      if (!this.health[k]) continue;
+      this.health[k].consecutive_failures = 0;
+      this.health[k].quarantined_until = null;
+      count++;
+    }
+    return count;
+  }
+
+  getEntries() {
+    return Object.entries(this.health).map(([key, entry]) => ({ key, ...entry }));
+  }
+
+  getStats() {
+    const entries = this.getEntries();
+    return {
+      tracked: entries.length,
+      failing: entries.filter(entry => entry.consecutive_failures > 0).length,
+      quarantined: entries.filter(entry => this.isQuarantined(entry.adapter, entry.id)).length
+    };
+  }
+
+  save() {
+    const dir = path.dirname(this.file);
+    if (!existsSync(dir)) {
+      mkdirSync(dir, { recursive: true });
+    }
+    writeFileSync(this.file, JSON.stringify({ ...this.health, lastUpdated: new Date().toISOString() }, null, 2));
+  }
+}
@@ -0,0 +1,109 @@
+// utils/telegram_channels.mjs
+// Channel & grup Telegram untuk Phase 1, disimpan di config/telegram_channels.json:
+//   { "channels": [ { "id": -1002294721332, "label": "Airdrop Alerts", "enabled": true, "category": "airdrops & events",
+//                     "keywords": "telegram", "require_link": true, "trust": 6 } ] }
+//
+//   id:           numeric chat id (-100...) atau "@username"
+//   label:        nama di signal.source (default: judul channel dari Telegram)
+//   enabled:      false = dilewati tanpa menghapus entry
+//   category:     kategori pipeline signal (default "general")
+//   keywords:     nama keyword set di keywords.mjs (default "telegram")
+//   require_link: pesan tanpa link dilewati (default true); false = link pesan t.me dipakai sebagai url
+//   trust:        priority source 0-10 (signal.priority → source_priority di priority scoring, default 5)
+//   topics:       grup forum: hanya topic ini yang dibaca, berupa id topic atau judul (case-insensitive),
+//                 mis. ["Announcements", 12]; kosong/tidak ada = semua topic
+//   admins_only:  grup: hanya pesan dari admin (termasuk admin anonim), default false
+//   reader:       "user" (default, user session GramJS) atau "bot" (Bot API lewat TG_TOKEN, bot harus
+//                 admin di channel; dibaca sources/telegram_bot_reader.mjs, topics hanya berupa id/judul
+//                 yang terlihat di update)
+//
+// Jenis chat (channel, grup, forum) dideteksi otomatis dari entity Telegram.
+
+import { readFileSync, existsSync } from 'node:fs';
+import { KEYWORD_SETS } from '../keywords.mjs';
+
+export const CHANNELS_PATH = 'config/telegram_channels.json';
+
+const USERNAME_PATTERN = /^@[A-Za-z][A-Za-z0-9_]{3,31}$/;
+const READERS = ['user', 'bot'];
+
+// Key stabil untuk cursor & health: id numerik sebagai string, username lowercase
+export function channelKey(id) {
+  return typeof id === 'string' ? id.toLowerCase() : String(id);
+}
+
+// Mengembalikan daftar pesan error (kosong = entry valid)
+export function validateChannelEntry(entry) {
+  const problems = [];
+  const id = entry?.id;
+  if (!(Number.isSafeInteger(id) || (typeof id === 'string' && USERNAME_PATTERN.test(id)))) {
+    problems.push(`invalid id "${id}" (expected numeric chat id or @username)`);
+  }
+  for (const field of ['label', 'category']) {
+    if (entry?.[field] !== undefined && typeof entry[field] !== 'string') problems.push(`${field} must be a string`);
+  }
+  if (entry?.enabled !== undefined && typeof entry.enabled !== 'boolean') problems.push('enabled must be true/false');
+  if (entry?.require_link !== undefined && typeof entry.require_link !== 'boolean') problems.push('require_link must be true/false');
+  if (entry?.keywords !== undefined && !KEYWORD_SETS[entry.keywords]) {
+    problems.push(`unknown keyword set "${entry.keywords}" (available: ${Object.keys(KEYWORD_SETS).join(', ')})`);
+  }
+  if (entry?.trust !== undefined && !Number.isFinite(entry.trust)) problems.push('trust must be a number');
+  if (entry?.topics !== undefined && !(Array.isArray(entry.topics) &&
+    entry.topics.every(topic => (Number.isSafeInteger(topic) && topic > 0) || (typeof topic === 'string' && topic.trim())))) {
+    problems.push('topics must be a list of topic ids or titles');
+  }
+  if (entry?.admins_only !== undefined && typeof entry.admins_only !== 'boolean') problems.push('admins_only must be true/false');
+  if (entry?.reader !== undefined && !READERS.includes(entry.reader)) problems.push(`reader must be one of: ${READERS.join(', ')}`);
+  return problems;
+}
+
+// Isi default supaya collector tidak perlu cek field opsional
+export function normalizeChannelEntry(entry) {
+  return {
+    id: entry.id,
+    key: channelKey(entry.id),
+    label: entry.label || null,
+    enabled: entry.enabled !== false,
+    category: entry.category || 'general',
+    keywords: entry.keywords || 'telegram',
+    require_link: entry.require_link !== false,
+    trust: Number.isFinite(entry.trust) ? entry.trust : 5,
+    topics: entry.topics?.length ? entry.topics.map(topic => (typeof topic === 'string' ? topic.trim() : topic)) : null,
+    admins_only: entry.admins_only === true,
+    reader: entry.reader || 'user'
+  };
+}
+
+// Channel yang valid dan ter-normalisasi (termasuk yang disabled); entry rusak dilewati dengan warning
+export function loadTelegramChannels(file = CHANNELS_PATH) {
+  if (!existsSync(file)) {
+    console.warn(`⚠️ ${file} not found, no Telegram channels configured`);
+    return [];
+  }
+
+  let data;
+  try {
+    data = JSON.parse(readFileSync(file, 'utf8'));
+  } catch (error) {
+    console.warn(`⚠️ Could not parse ${file}, no Telegram channels configured: ${error.message}`);
+    return [];
+  }
+
+  const seen = new Set();
+  const channels = [];
+  for (const entry of Array.isArray(data.channels) ? data.channels : []) {
+    const problems = validateChannelEntry(entry);
+    if (problems.length > 0) {
+      console.warn(`⚠️ Skipping Telegram channel ${entry?.id ?? '(unknown)'}: ${problems.join('; ')}`);
+      continue;
+    }
+    const key = channelKey(entry.id);
+    if (seen.has(key)) {
+      console.warn(`⚠️ Duplicate Telegram channel ${entry.id}, keeping the first one`);
+      continue;
+    }
+    seen.add(key);
+    channels.push(normalizeChannelEntry(entry));
+  }
+  return channels;
+}
@@ -0,0 +1,166 @@
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'node:fs';
+import path from 'node:path';
+
+// Engagement pesan Telegram per channel (views, forwards, reactions, replies), disimpan di
+// data/telegram_engagement.json. Semua pesan yang dibaca Phase 1 dicatat; pesan yang menjadi
+// signal di-refresh lagi di run berikutnya selama refresh_hours, karena views/forwards baru
+// stabil setelah beberapa jam. Baseline channel = median metric pesan yang snapshot-nya diambil
+// setelah matang (umur ≥ mature_hours saat dicatat); pesan lain yang tercatat saat masih muda
+// di-refresh sekali setelah matang (maks. baseline_refresh per run). Virality signal = metric
+// pesan dibanding baseline tersebut.
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+export const DEFAULT_ENGAGEMENT_RULES = {
+  refresh_hours: 72,   // signal yang lebih muda dari ini di-refresh metric-nya setiap run
+  max_refresh: 100,    // maks pesan yang di-refresh per channel per run (satu request getMessages)
+  baseline_refresh: 50, // maks pesan non-signal yang di-refresh setelah matang per channel per run
+  retention_days: 14,  // pesan yang lebih tua dibuang (juga dari baseline)
+  mature_hours: 24,    // umur pesan sebelum metric-nya masuk baseline
+  min_samples: 10,     // channel dengan pesan matang lebih sedikit belum punya baseline
+  viral_ratio: 3,      // score ≥ viral_ratio × baseline → "viral"
+  high_ratio: 1.5,     // ≥ high_ratio → "high"
+  low_ratio: 0.5       // < low_ratio → "low", sisanya "normal"
+};
+
+const METRICS = ['views', 'forwards', 'reactions', 'replies'];
+// Views paling stabil; replies hanya ada di channel dengan kolom komentar
+const METRIC_WEIGHTS = { views: 0.4, forwards: 0.3, reactions: 0.2, replies: 0.1 };
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Umur pesan (jam) saat metric-nya terakhir dicatat
+function snapshotAgeHours(entry) {
+  return (Date.parse(entry.updated_at) - Date.parse(entry.date)) / HOUR_MS;
+}
+
+// Metric dari Api.Message GramJS; null = tidak tersedia (mis. reactions dimatikan di channel)
+export function extractEngagement(msg) {
+  const results = msg?.reactions?.results || [];
+  return {
+    views: Number.isFinite(msg?.views) ? msg.views : null,
+    forwards: Number.isFinite(msg?.forwards) ? msg.forwards : null,
+    reactions: msg?.reactions ? results.reduce((sum, result) => sum + (result.count || 0), 0) : null,
+    replies: Number.isFinite(msg?.replies?.replies) ? msg.replies.replies : null,
+    top_reactions: results
+      .filter(result => result.reaction?.emoticon)
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 3)
+      .map(result => ({ emoji: result.reaction.emoticon, count: result.count }))
+  };
+}
+
+export class TelegramEngagementStore {
+  constructor(options = {}) {
+    this.file = options.file || path.join('data', 'telegram_engagement.json');
+    this.rules = { ...DEFAULT_ENGAGEMENT_RULES, ...(options.rules || {}) };
+    this.channels = this.loadEngagement();
+  }
+
+  loadEngagement() {
+    if (!existsSync(this.file)) return {};
+    try {
+      const { lastUpdated, ...channels } = JSON.parse(readFileSync(this.file, 'utf8'));
+      return channels;
+    } catch (error) {
+      console.log('⚠️  Error loading Telegram engagement, starting fresh');
+      return {};
+    }
+  }
+
+  // Catat metric terbaru satu pesan; flag signal tetap melekat pada refresh berikutnya
+  record(channelKey, msg, { signal = false } = {}) {
+    if (!msg?.id || !msg?.date) return null;
+    const { top_reactions, ...metrics } = extractEngagement(msg);
+    if (!this.channels[channelKey]) this.channels[channelKey] = { messages: {} };
+    const messages = this.channels[channelKey].messages;
+    const previous = messages[msg.id];
+    messages[msg.id] = {
+      date: new Date(msg.date * 1000).toISOString(),
+      signal: signal || Boolean(previous?.signal),
+      ...metrics,
+      updated_at: new Date().toISOString()
+    };
+    return { ...metrics, top_reactions };
+  }
+
+  // Id yang perlu di-refresh, terbaru dulu: signal yang masih dalam refresh_hours, lalu pesan lain
+  // yang sudah matang tapi snapshot-nya masih dari saat muda (kandidat baseline)
+  refreshCandidates(channelKey, now = Date.now()) {
+    const entries = Object.entries(this.channels[channelKey]?.messages || {})
+      .sort(([, a], [, b]) => Date.parse(b.date) - Date.parse(a.date));
+    const signals = entries
+      .filter(([, entry]) => entry.signal && now - Date.parse(entry.date) < this.rules.refresh_hours * HOUR_MS)
+      .slice(0, this.rules.max_refresh);
+    const unripe = entries
+      .filter(([, entry]) => !entry.signal && now - Date.parse(entry.date) >= this.rules.mature_hours * HOUR_MS
+        && snapshotAgeHours(entry) < this.rules.mature_hours)
+      .slice(0, this.rules.baseline_refresh);
+    return [...signals, ...unripe].map(([id]) => Number(id));
+  }
+
+  // Median per metric dari snapshot matang: { samples, views, forwards, reactions, replies }
+  baseline(channelKey) {
+    const mature = Object.values(this.channels[channelKey]?.messages || {})
+      .filter(entry => snapshotAgeHours(entry) >= this.rules.mature_hours);
+    const result = { samples: mature.length };
+    for (const metric of METRICS) {
+      result[metric] = median(mature.map(entry => entry[metric]).filter(Number.isFinite));
+    }
+    return result;
+  }
+
+  // Virality metric pesan vs baseline channel → { score, level, ratios, baseline_samples } atau null.
+  // Pesan muda dibandingkan dengan baseline yang diskalakan sesuai umurnya (√(umur / mature_hours)),
+  // supaya pesan 1 jam tidak selalu terlihat "low". score = rata-rata geometrik berbobot ratio metric.
+  virality(channelKey, metrics, publishedAt, now = Date.now()) {
+    const baseline = this.baseline(channelKey);
+    if (baseline.samples < this.rules.min_samples) return null;
+
+    const ageHours = Math.max((now - Date.parse(publishedAt)) / HOUR_MS, 0.25);
+    const maturity = Math.min(1, Math.sqrt(ageHours / this.rules.mature_hours));
+    const ratios = {};
+    let weighted = 0;
+    let totalWeight = 0;
+    for (const metric of METRICS) {
+      if (!Number.isFinite(metrics?.[metric]) || baseline[metric] === null) continue;
+      const ratio = (metrics[metric] + 1) / (baseline[metric] * maturity + 1);
+      ratios[metric] = round(ratio);
+      weighted += METRIC_WEIGHTS[metric] * Math.log2(ratio);
+      totalWeight += METRIC_WEIGHTS[metric];
+    }
+    if (totalWeight === 0) return null;
+
+    const score = round(2 ** (weighted / totalWeight));
+    const level = score >= this.rules.viral_ratio ? 'viral'
+      : score >= this.rules.high_ratio ? 'high'
+        : score < this.rules.low_ratio ? 'low' : 'normal';
+    return { score, level, ratios, baseline_samples: baseline.samples };
+  }
+
+  // Buang pesan yang lebih tua dari retention_days
+  prune(now = Date.now()) {
+    const maxAge = this.rules.retention_days * DAY_MS;
+    for (const channel of Object.values(this.channels)) {
+      for (const [id, entry] of Object.entries(channel.messages)) {
+        if (now - Date.parse(entry.date) > maxAge) delete channel.messages[id];
+      }
+    }
+  }
+
+  save() {
+    this.prune();
+    const dir = path.dirname(this.file);
+    if (!existsSync(dir)) {
+      mkdirSync(dir, { recursive: true });
+    }
+    writeFileSync(this.file, JSON.stringify({ ...this.channels, lastUpdated: new Date().toISOString() }, null, 2));
+  }
+}
@@ -0,0 +1,99 @@
+// utils/telegram_session.mjs
+// Session GramJS (StringSession) di config/telegram.session, dibuat oleh tg_login.mjs.
+// Di GitHub Actions file ini ditulis dari secret TELEGRAM_SESSION.
+//
+// checkSession() dipakai collector dan listener setelah connect: session yang sudah di-revoke
+// (logout dari device lain, "Terminate all other sessions", akun dihapus) tidak lagi membuat
+// error samar di tengah run, tapi langsung mencetak instruksi login ulang.
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'node:fs';
+import path from 'node:path';
+import { Api } from 'telegram';
+
+export const SESSION_PATH = 'config/telegram.session';
+
+// Error MTProto yang berarti session tidak bisa dipakai lagi (login ulang diperlukan)
+const REVOKED_ERRORS = [
+  'AUTH_KEY_UNREGISTERED',
+  'AUTH_KEY_INVALID',
+  'AUTH_KEY_DUPLICATED',
+  'SESSION_REVOKED',
+  'SESSION_EXPIRED',
+  'USER_DEACTIVATED',
+  'USER_DEACTIVATED_BAN'
+];
+
+// String session (tanpa whitespace/newline dari `echo`), atau null jika file tidak ada / kosong
+export function readSession(file = SESSION_PATH) {
+  if (!existsSync(file)) return null;
+  const session = readFileSync(file, 'utf8').trim();
+  return session || null;
+}
+
+// Hanya bisa dibaca pemilik file: session = akses penuh ke akun Telegram
+export function saveSession(session, file = SESSION_PATH) {
+  const dir = path.dirname(file);
+  if (!existsSync(dir)) {
+    mkdirSync(dir, { recursive: true });
+  }
+  writeFileSync(file, `${session}\n`, { mode: 0o600 });
+}
+
+export function isRevokedError(error) {
+  const message = error?.errorMessage || error?.message || String(error);
+  return REVOKED_ERRORS.some(code => message.includes(code));
+}
+
+// Status session pada client yang sudah connect:
+//   { authorized, revoked, error, user: { id, username, name, phone }, authorization }
+// authorization (jika tersedia) berisi device/app session ini dan ttl_days: Telegram menghentikan
+// session yang tidak dipakai selama ttl_days, expires_at = last_active + ttl_days.
+export async function checkSession(client) {
+  let me;
+  try {
+    me = await client.getMe();
+  } catch (error) {
+    return { authorized: false, revoked: isRevokedError(error), error: error.errorMessage || error.message, user: null, authorization: null };
+  }
+  if (!me) {
+    return { authorized: false, revoked: true, error: 'not logged in', user: null, authorization: null };
+  }
+
+  const user = {
+    id: me.id?.toString() || null,
+    username: me.username || null,
+    name: [me.firstName, me.lastName].filter(Boolean).join(' ') || null,
+    phone: me.phone ? `+${me.phone}` : null
+  };
+
+  let authorization = null;
+  try {
+    const result = await client.invoke(new Api.account.GetAuthorizations());
+    const current = result.authorizations.find(auth => auth.current);
+    if (current) {
+      const ttlDays = result.authorizationTtlDays;
+      authorization = {
+        device: current.deviceModel || null,
+        app: [current.appName, current.appVersion].filter(Boolean).join(' ') || null,
+        created_at: new Date(current.dateCreated * 1000).toISOString(),
+        last_active: new Date(current.dateActive * 1000).toISOString(),
+        ttl_days: ttlDays,
+        expires_at: ttlDays ? new Date((current.dateActive + ttlDays * 24 * 60 * 60) * 1000).toISOString() : null
+      };
+    }
+  } catch (error) {
+    // Info tambahan saja; session tetap valid
+    console.warn(`⚠️  Could not read session details: ${error.errorMessage || error.message}`);
+  }
+
+  return { authorized: true, revoked: false, error: null, user, authorization };
+}
+
+// Instruksi untuk session yang hilang, kosong atau di-revoke
+export function printSessionHelp(reason) {
+  console.error(`❌ Telegram session tidak valid${reason ? ` (${reason})` : ''}`);
+  console.error('   Login ulang di mesin lokal (API_ID & API_HASH di .env):');
+  console.error('     node tg_login.mjs');
+  console.error(`   Untuk GitHub Actions, update secret TELEGRAM_SESSION dengan isi ${SESSION_PATH}:`);
+  console.error(`     gh secret set TELEGRAM_SESSION < ${SESSION_PATH}`);
+}
@@ -1,16 +1,61 @@
 // utils/time_window.mjs
 // Swiss timezone utilities (Europe/Zurich)
 
+// Timezone pipeline: menentukan tanggal bucket data/<date>/ dan offset timestamp
+export const PIPELINE_TZ = process.env.PIPELINE_TZ || 'Europe/Zurich';
+
 export function cutoffMs24h() {
   return Date.now() - 24 * 60 * 60 * 1000;
 }
 
 export function localISO(date) {
-  // Convert to Swiss timezone and format as ISO-like string
-  const swissTimeStr = date.toLocaleString("sv-SE", {timeZone: "Europe/Zurich"});
+  // Convert to Swiss timezone and format as ISO-like string (untuk tampilan saja, tanpa offset)
+  const swissTimeStr = date.toLocaleString("sv-SE", {timeZone: PIPELINE_TZ});
   return swissTimeStr.replace('T', ' ');
 }
 
+// Offset timezone (ms) pada instant tertentu, mis. +7200000 untuk Zurich musim panas
+export function tzOffsetMs(date, timeZone = PIPELINE_TZ) {
+  const t = date instanceof Date ? date.getTime() : date;
+  const wall = new Date(t).toLocaleString('sv-SE', { timeZone }).replace(' ', 'T');
+  return Date.parse(`${wall}Z`) - Math.floor(t / 1000) * 1000;
+}
+
+// Tanggal YYYY-MM-DD di timezone pipeline
+export function zonedDate(date = new Date(), timeZone = PIPELINE_TZ) {
+  return new Date(date).toLocaleString('sv-SE', { timeZone }).slice(0, 10);
+}
+
+// ISO-8601 dengan offset timezone, mis. "2025-01-01T07:30:00.000+01:00"
+export function isoWithOffset(date = new Date(), timeZone = PIPELINE_TZ) {
+  const t = new Date(date).getTime();
+  const offset = tzOffsetMs(t, timeZone);
+  const local = new Date(t + offset).toISOString().slice(0, -1);
+  const sign = offset < 0 ? '-' : '+';
+  const minutes = Math.abs(offset) / 60000;
+  return `${local}${sign}${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Epoch ms untuk 00:00 tanggal YYYY-MM-DD di timezone pipeline (aman saat DST)
+export function zonedStartOfDay(dateStr, timeZone = PIPELINE_TZ) {
+  const utcMidnight = Date.parse(`${dateStr}T00:00:00Z`);
+  if (Number.isNaN(utcMidnight)) throw new Error(`Invalid date: ${dateStr}`);
+  const guess = utcMidnight - tzOffsetMs(utcMidnight, timeZone);
+  return utcMidnight - tzOffsetMs(guess, timeZone);
+}
+
+// Waktu lokal tanpa offset ("2025-01-01 07:30:00", format localISO) di timezone pipeline → epoch ms.
+// String yang sudah punya offset/Z diparse apa adanya; NaN jika tidak valid.
+export function parseZonedLocal(str, timeZone = PIPELINE_TZ) {
+  const text = String(str || '').trim().replace(' ', 'T');
+  if (!text) return NaN;
+  if (/(Z|[+-]\d{2}:?\d{2})$/i.test(text)) return Date.parse(text);
+  const wallAsUtc = Date.parse(`${text}Z`);
+  if (Number.isNaN(wallAsUtc)) return NaN;
+  const guess = wallAsUtc - tzOffsetMs(wallAsUtc, timeZone);
+  return wallAsUtc - tzOffsetMs(guess, timeZone);
+}
+
 export function swissTime() {
   // Get current time in Swiss timezone
   return new Date().toLocaleString("en-US", {timeZone: "Europe/Zurich"});
@@ -36,3 +81,68 @@ export function isWithin(ts, cutoff) {
   return !Number.isNaN(ts) && ts >= cutoff;
 }
 
+
+// Durasi seperti "90m", "36h", "3d", "2w" → milliseconds
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+export function parseDuration(str) {
+  const match = String(str || '').trim().match(/^(\d+(?:\.\d+)?)\s*([mhdw])$/i);
+  if (!match) return NaN;
+  return Number(match[1]) * DURATION_UNITS[match[2].toLowerCase()];
+}
+
+// Resolve lookback window untuk collectors.
+//   since:  ISO date/time ("2025-01-01", "2025-01-01T06:00:00Z") atau durasi ("36h")
+//   window: durasi lookback dari sekarang ("48h"); default 24 jam
+//   until:  batas akhir (ISO date/time); default sekarang
+export function resolveWindow({ since, window, until } = {}) {
+  const endMs = until ? parseDateFlexible(until) : Date.now();
+  if (Number.isNaN(endMs)) {
+    throw new Error(`Invalid --until value: ${until}`);
+  }
+
+  let startMs;
+  if (since) {
+    const sinceDuration = parseDuration(since);
+    startMs = Number.isNaN(sinceDuration) ? parseDateFlexible(since) : endMs - sinceDuration;
+    if (Number.isNaN(startMs)) throw new Error(`Invalid --since value: ${since}`);
+  } else if (window) {
+    const windowMs = parseDuration(window);
+    if (Number.isNaN(windowMs)) throw new Error(`Invalid --window value: ${window}`);
+    startMs = endMs - windowMs;
+  } else {
+    startMs = endMs - 24 * 60 * 60 * 1000;
+  }
+
+  if (startMs >= endMs) {
+    throw new Error('Collection window start must be before its end');
+  }
+
+  return {
+    startMs,
+    endMs,
+    label: `${new Date(startMs).toISOString()} → ${new Date(endMs).toISOString()}`
+  };
+}
+
+export function isInWindow(ts, window) {
+  return !Number.isNaN(ts) && ts >= window.startMs && ts <= window.endMs;
+}
+
+// Daftar tanggal kalender YYYY-MM-DD dari..sampai, inklusif
+export function dateRange(from, to) {
+  const start = Date.parse(`${from}T00:00:00Z`);
+  const end = Date.parse(`${to}T00:00:00Z`);
+  if (Number.isNaN(start) || Number.isNaN(end)) {
+    throw new Error(`Invalid date range: ${from} .. ${to}`);
+  }
+  if (start > end) {
+    throw new Error(`Backfill range is reversed: ${from} .. ${to}`);
+  }
+
+  const dates = [];
+  for (let t = start; t <= end; t += DURATION_UNITS.d) {
+    dates.push(new Date(t).toISOString().slice(0, 10));
+  }
+  return dates;
+}